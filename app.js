@@ -1,9 +1,14 @@
-/* Pixel Arcade - single-file app logic (no dependencies)
-   - Router between menu and minigames
-   - 3 games:
-     1) BYTE RUNNER (canvas endless dodge)
+/* Pixel Arcade - app logic (no dependencies)
+   - Router between menu and minigames; games plug in through registerGame()
+   - Procedural WebAudio sound (named SFX + per-game chiptune loops)
+   - 5 games:
+     1) BYTE RUNNER (canvas endless dodge, plus a split-screen versus mode)
      2) NEON CLICKER (idle/clicker loop)
      3) GLITCH REACT (reaction/streak loop)
+     4) PIXEL SNAKE (canvas grid snake)
+     5) MEMORY MATRIX (sequence recall on the GLITCH REACT pads)
+   - Daily challenge: date-seeded runs of all three games
+   - Game rules with no DOM live in sim/ (loaded first, tested in tests/)
 */
 
 (() => {
@@ -13,771 +18,4094 @@
   const $ = (sel, root = document) => root.querySelector(sel);
   const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
 
-  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+  // Pure helpers shared with the headless simulations (see sim/core.js).
+  const { clamp, createRng, hashSeed, big, BIG_ONE } = window.PixelSim.core;
   const now = () => performance.now();
+  const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
 
-  const store = {
-    get(key, fallback) {
-      try {
-        const raw = localStorage.getItem(key);
-        return raw ? JSON.parse(raw) : fallback;
-      } catch {
-        return fallback;
+  // Local calendar day as YYYY-MM-DD.
+  function dayKey(d = new Date()){
+    const m = String(d.getMonth() + 1).padStart(2, "0");
+    const day = String(d.getDate()).padStart(2, "0");
+    return `${d.getFullYear()}-${m}-${day}`;
+  }
+
+  // ---------- Save data ----------
+  // Everything lives in one versioned document under SAVE_KEY:
+  //   { v: SAVE_VERSION, data: { px_sound, px_mix, px_clicker_state, px_lb_*, px_daily_*, ... } }
+  // Older documents are brought forward by `migrations` and every key is run
+  // through `validators` on load, so a damaged entry falls back to its default
+  // instead of leaking a broken shape into a game.
+  const SAVE_KEY = "px_save";
+  const SAVE_VERSION = 3;
+  const SAVE_FORMAT = "pixel-arcade-save";
+
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const A11Y_SPEEDS = [1, 0.9, 0.75, 0.6];   // game speed choices, see a11y
+  const clone = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+  // migrations[n] turns a version n-1 `data` object into version n.
+  const migrations = {
+    // v0 -> v1: loose px_* localStorage keys were gathered into one document as-is.
+    1: (data) => data,
+    // v1 -> v2: single best numbers became top-10 leaderboard tables.
+    2: (data) => {
+      for (const id of ["runner", "react"]){
+        const legacy = Number(data[`px_best_${id}`]);
+        if (legacy > 0 && !(data[`px_lb_${id}`] || []).length){
+          data[`px_lb_${id}`] = [{ name: "---", score: Math.floor(legacy), date: null, duration: null, stats: {} }];
+        }
+        delete data[`px_best_${id}`];
       }
+      return data;
     },
-    set(key, value) {
-      try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
-    }
-  };
-
-  // "Sound" toggle is purely UI here (no audio files). Kept to extend later.
-  const sound = {
-    enabled: store.get("px_sound", false),
-    set(v){
-      this.enabled = !!v;
-      store.set("px_sound", this.enabled);
-      updateSoundChip();
+    // v2 -> v3: clicker amounts became exact decimal strings (see big).
+    3: (data) => {
+      const st = data.px_clicker_state;
+      if (!st || typeof st !== "object") return data;
+      const dec = (n) => (isNum(n) || n === Infinity ? big.toString(big.from(Math.min(n, Number.MAX_VALUE)) ?? 0n) : n);
+      for (const k of ["bits", "total", "bpc", "bps"]) st[k] = dec(st[k]);
+      if (st.prestige && typeof st.prestige === "object"){
+        st.prestige.lifetime = dec(st.prestige.lifetime);
+        for (const k of ["cores", "earned"]) if (Number.isInteger(st.prestige[k])) st.prestige[k] = String(st.prestige[k]);
+      }
+      return data;
     }
   };
 
-  // ---------- DOM ----------
-  const screenMenu = $("#screenMenu");
-  const screenGame = $("#screenGame");
-  const gameHost = $("#gameHost");
-
-  const btnHome = $("#btnHome");
-  const btnBack = $("#btnBack");
-  const btnRestart = $("#btnRestart");
-  const btnPause = $("#btnPause");
-  const btnMute = $("#btnMute");
+  function validClickerState(v){
+    if (!v || typeof v !== "object") return undefined;
+    const amount = (x, dflt) => { const b = big.from(x); return b == null ? dflt : big.toString(b); };
+    const count = (x) => (typeof x === "string" && /^\d+$/.test(x) ? x : Number.isInteger(x) && x >= 0 ? String(x) : "0");
+    const ups = v.upgrades && typeof v.upgrades === "object" ? v.upgrades : {};
+    const lvl = (x) => (Number.isInteger(x) && x >= 0 ? x : 0);
+    const pr = v.prestige && typeof v.prestige === "object" ? v.prestige : {};
+    const perks = pr.perks && typeof pr.perks === "object" ? pr.perks : {};
+    return {
+      ...v,
+      prestige: {
+        cores: count(pr.cores),
+        earned: count(pr.earned),
+        lifetime: amount(pr.lifetime, "0"),
+        reboots: lvl(pr.reboots),
+        perks: { mult: lvl(perks.mult), auto: lvl(perks.auto), start: lvl(perks.start), critcap: lvl(perks.critcap) }
+      },
+      bits: amount(v.bits, "0"),
+      total: amount(v.total, "0"),
+      bpc: amount(v.bpc, "1"),
+      bps: amount(v.bps, "0"),
+      lastSeen: isNum(v.lastSeen) ? Math.min(v.lastSeen, Date.now()) : Date.now(),
+      upgrades: { ...ups, core: lvl(ups.core), drip: lvl(ups.drip), crit: lvl(ups.crit) }
+    };
+  }
 
-  const gameTitle = $("#gameTitle");
-  const gameSubtitle = $("#gameSubtitle");
+  function validBoard(v){
+    if (!Array.isArray(v)) return undefined;
+    return v
+      .filter(r => r && typeof r.name === "string" && isNum(r.score))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10);
+  }
 
-  const bestRunnerTag = $("#bestRunnerTag");
-  const bestClickerTag = $("#bestClickerTag");
-  const bestReactTag = $("#bestReactTag");
+  // Game settings: plain values only, checked against the game's declaration on read.
+  function validPrefs(v){
+    if (!v || typeof v !== "object") return undefined;
+    const out = {};
+    for (const [k, x] of Object.entries(v)){
+      if (isNum(x) || typeof x === "boolean" || typeof x === "string") out[k] = x;
+    }
+    return out;
+  }
 
-  function showScreen(which){
-    const menu = which === "menu";
-    screenMenu.classList.toggle("screen--active", menu);
-    screenGame.classList.toggle("screen--active", !menu);
+  function validNumbers(v){
+    if (!v || typeof v !== "object") return undefined;
+    const out = {};
+    for (const [k, n] of Object.entries(v)) if (isNum(n)) out[k] = n;
+    return out;
   }
 
-  function setHeader(title, subtitle){
-    gameTitle.textContent = title;
-    gameSubtitle.textContent = subtitle;
+  // Exact keys first, then prefixes. Returning undefined drops the key.
+  const validators = {
+    px_sound: (v) => (typeof v === "boolean" ? v : undefined),
+    px_mix: (v) => {
+      if (!v || typeof v !== "object") return undefined;
+      const out = {};
+      for (const ch of ["master", "sfx", "music"]) if (isNum(v[ch])) out[ch] = clamp(v[ch], 0, 1);
+      return out;
+    },
+    px_clicker_state: validClickerState,
+    px_react_best: validNumbers,
+    px_react_stats: (v) => (Array.isArray(v)
+      ? v.filter(x => x && typeof x.mode === "string" && isNum(x.median) && isNum(x.acc)).slice(-30)
+      : undefined),
+    px_react_mode: (v) => (typeof v === "string" ? v : undefined),
+    px_memory_best: validNumbers,
+    px_memory_mode: (v) => (typeof v === "string" ? v : undefined),
+    px_a11y: (v) => {
+      if (!v || typeof v !== "object") return undefined;
+      return {
+        theme: v.theme === "contrast" ? "contrast" : "default",
+        motion: ["system", "reduce", "full"].includes(v.motion) ? v.motion : "system",
+        speed: A11Y_SPEEDS.includes(v.speed) ? v.speed : 1
+      };
+    },
+    px_settings: (v) => {
+      if (!v || typeof v !== "object") return undefined;
+      const out = {};
+      for (const k of ["shake", "fps", "keyboard"]) if (typeof v[k] === "boolean") out[k] = v[k];
+      return out;
+    },
+    px_notation: (v) => (v === "suffix" || v === "scientific" ? v : undefined),
+    px_runner_replay: (v) => (v && v.game === "runner" && Array.isArray(v.i) ? v : undefined),
+    px_runnervs_mode: (v) => (typeof v === "string" ? v : undefined),
+    px_runnervs_tally: validNumbers,
+    px_bindings: (v) => {
+      if (!v || typeof v !== "object") return undefined;
+      const out = {};
+      for (const [game, actions] of Object.entries(v)){
+        if (!actions || typeof actions !== "object") continue;
+        out[game] = {};
+        for (const [id, keys] of Object.entries(actions)){
+          if (Array.isArray(keys)) out[game][id] = keys.filter(k => typeof k === "string" && k).slice(0, 2);
+        }
+      }
+      return out;
+    },
+    px_achievements: (v) => {
+      if (!v || typeof v !== "object") return undefined;
+      const progress = {};
+      const unlocked = {};
+      for (const [k, n] of Object.entries(v.progress || {})) if (isNum(n)) progress[k] = n;
+      for (const [k, d] of Object.entries(v.unlocked || {})) if (typeof d === "string") unlocked[k] = d;
+      return { progress, unlocked };
+    },
+    "px_lb_": validBoard,
+    "px_daily_": validNumbers,
+    "px_settings_": validPrefs
+  };
+
+  function validateData(data){
+    const out = {};
+    for (const [key, value] of Object.entries(data || {})){
+      const check = validators[key]
+        || Object.entries(validators).find(([p]) => p.endsWith("_") && key.startsWith(p))?.[1];
+      const v = check ? check(value) : value;
+      if (v !== undefined) out[key] = v;
+    }
+    return out;
   }
 
-  function updateSoundChip(){
-    btnMute.setAttribute("aria-pressed", String(sound.enabled));
-    btnMute.textContent = `Sound: ${sound.enabled ? "ON" : "OFF"}`;
+  // Runs every pending migration. Throws for documents from a newer build.
+  function migrateData(version, data){
+    if (!Number.isInteger(version) || version < 0) throw new Error("Unknown save version.");
+    if (version > SAVE_VERSION) throw new Error("This save comes from a newer version of the arcade.");
+    for (let v = version + 1; v <= SAVE_VERSION; v++) data = migrations[v](data);
+    return validateData(data);
   }
-  updateSoundChip();
 
-  // ---------- Global Game Shell controls ----------
-  let activeGame = null;
+  function loadSave(){
+    let raw = null;
+    try { raw = localStorage.getItem(SAVE_KEY); } catch {}
 
-  function mountGame(gameId){
-    if (activeGame?.unmount) activeGame.unmount();
-    gameHost.innerHTML = "";
+    if (raw){
+      try {
+        const doc = JSON.parse(raw);
+        return migrateData(doc.v, doc.data || {});
+      } catch {
+        // keep the unreadable document around instead of silently wiping it
+        try { localStorage.setItem(`${SAVE_KEY}_broken`, raw); } catch {}
+        return {};
+      }
+    }
 
-    activeGame = games[gameId];
-    if (!activeGame) return;
+    // v0: loose keys from before the save document existed
+    const loose = {};
+    try {
+      for (let i = localStorage.length - 1; i >= 0; i--){
+        const k = localStorage.key(i);
+        if (!k || !k.startsWith("px_") || k.startsWith(SAVE_KEY)) continue;
+        try { loose[k] = JSON.parse(localStorage.getItem(k)); } catch {}
+      }
+    } catch {}
+    const looseKeys = Object.keys(loose);
+    const data = migrateData(0, loose);
+    try {
+      localStorage.setItem(SAVE_KEY, JSON.stringify({ v: SAVE_VERSION, data }));
+      looseKeys.forEach(k => localStorage.removeItem(k));
+    } catch {}
+    return data;
+  }
 
-    setHeader(activeGame.title, activeGame.subtitle);
-    activeGame.mount(gameHost);
+  const saveData = loadSave();
 
-    btnPause.disabled = !activeGame.togglePause;
-    btnPause.setAttribute("aria-pressed", "false");
-    btnPause.textContent = "Pause";
+  // Writes are batched: store.set marks the document dirty and it goes to
+  // localStorage SAVE_DELAY ms later, or at once when the page is hidden or left.
+  const SAVE_DELAY = 500;
+  let saveDirty = false;
+  let saveTimer = 0;
 
-    showScreen("game");
-    refreshMenuBadges();
+  function persistSave(){
+    clearTimeout(saveTimer);
+    saveTimer = 0;
+    saveDirty = false;
+    try { localStorage.setItem(SAVE_KEY, JSON.stringify({ v: SAVE_VERSION, data: saveData })); } catch {}
   }
 
-  function backToMenu(){
-    if (activeGame?.unmount) activeGame.unmount();
-    activeGame = null;
-    gameHost.innerHTML = "";
-    showScreen("menu");
-    refreshMenuBadges();
+  function queueSave(){
+    saveDirty = true;
+    if (!saveTimer) saveTimer = setTimeout(persistSave, SAVE_DELAY);
   }
 
-  btnHome.addEventListener("click", backToMenu);
-  btnBack.addEventListener("click", backToMenu);
-
-  btnRestart.addEventListener("click", () => {
-    activeGame?.restart?.();
-    refreshMenuBadges();
-  });
-
-  btnPause.addEventListener("click", () => {
-    if (!activeGame?.togglePause) return;
-    const paused = activeGame.togglePause();
-    btnPause.setAttribute("aria-pressed", String(paused));
-    btnPause.textContent = paused ? "Resume" : "Pause";
-  });
+  const flushSave = () => { if (saveDirty) persistSave(); };
+  window.addEventListener("pagehide", flushSave);
+  document.addEventListener("visibilitychange", () => { if (document.hidden) flushSave(); });
 
-  btnMute.addEventListener("click", () => sound.set(!sound.enabled));
+  const store = {
+    get(key, fallback) {
+      return key in saveData ? clone(saveData[key]) : fallback;
+    },
+    set(key, value) {
+      saveData[key] = clone(value);
+      queueSave();
+    },
+    remove(key) {
+      delete saveData[key];
+      queueSave();
+    },
+    keys(prefix) {
+      return Object.keys(saveData).filter(k => k.startsWith(prefix));
+    }
+  };
 
-  // Menu cards
-  $$(".card").forEach(card => {
-    card.addEventListener("click", () => {
-      const id = card.getAttribute("data-open");
-      mountGame(id);
-    });
-  });
+  // ---------- Save export / import ----------
+  // Exports carry an FNV-1a checksum of the data so a damaged paste is rejected.
+  const checksum = (data) => hashSeed(JSON.stringify(data)).toString(16);
 
-  // ---------- Shared UI builders ----------
-  function el(tag, className, attrs = {}){
-    const n = document.createElement(tag);
-    if (className) n.className = className;
-    for (const [k,v] of Object.entries(attrs)){
-      if (k === "text") n.textContent = v;
-      else if (k === "html") n.innerHTML = v;
-      else n.setAttribute(k, v);
-    }
-    return n;
+  function exportSave(){
+    return { format: SAVE_FORMAT, v: SAVE_VERSION, sum: checksum(saveData), data: clone(saveData) };
   }
 
-  function makeHud(leftPills, rightPills){
-    const hud = el("div", "hud");
-    const left = el("div", "hud__left");
-    const right = el("div", "hud__right");
-
-    leftPills.forEach(p => left.appendChild(p));
-    rightPills.forEach(p => right.appendChild(p));
+  const toBase64 = (str) => btoa(unescape(encodeURIComponent(str)));
+  const fromBase64 = (str) => decodeURIComponent(escape(atob(str.trim())));
 
-    hud.append(left, right);
-    return hud;
+  // Accepts the JSON export or its base64 form. Returns migrated data or throws.
+  function parseSave(text){
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch {
+      try { doc = JSON.parse(fromBase64(text)); } catch { throw new Error("Not a save file."); }
+    }
+    if (!doc || doc.format !== SAVE_FORMAT || !doc.data) throw new Error("Not a save file.");
+    if (doc.sum !== checksum(doc.data)) throw new Error("Checksum mismatch: the save is damaged.");
+    return migrateData(doc.v, doc.data);
   }
 
-  function pill(text, cls=""){
-    return el("div", `pill ${cls}`.trim(), { text });
+  function importSave(text){
+    const data = parseSave(text);
+    Object.keys(saveData).forEach(k => delete saveData[k]);
+    Object.assign(saveData, data);
+    persistSave();
   }
 
-  // ---------- GAME 1: BYTE RUNNER ----------
-  function createByteRunner(){
-    const KEY = "px_best_runner";
-    let best = store.get(KEY, 0);
+  // ---------- Daily challenge data ----------
+  // One record per day: px_daily_<YYYY-MM-DD> = { runner, react, clicker } best scores.
+  const daily = {
+    games: [
+      { id: "runner", title: "BYTE RUNNER", unit: "pts" },
+      { id: "react", title: "GLITCH REACT", unit: "streak" },
+      { id: "clicker", title: "NEON CLICKER SPRINT", unit: "bits" }
+    ],
+    seed(day, gameId){ return hashSeed(`daily:${day}:${gameId}`); },
+    get(day){ return store.get(`px_daily_${day}`, {}); },
+    record(day, gameId, score){
+      const rec = this.get(day);
+      if (!(rec[gameId] >= score)){
+        rec[gameId] = score;
+        store.set(`px_daily_${day}`, rec);
+      }
+      return rec;
+    },
+    days(){
+      return store.keys("px_daily_").map(k => k.slice("px_daily_".length)).sort();
+    }
+  };
 
-    let root = null;
-    let canvas, ctx;
-    let raf = 0;
+  // ---------- Leaderboards ----------
+  // px_lb_<game> = [{ name, score, date, duration, stats, assist?, custom? }],
+  // best first, max 10 rows. `assist` is the a11y game speed below 1 and
+  // `custom` marks runs played with changed game settings.
+  // Boards come from games that declare a `leaderboard` when registered.
+  const leaderboards = {
+    size: 10,
+    boards: [],
+    get(id){
+      const rows = store.get(`px_lb_${id}`, []);
+      return Array.isArray(rows) ? rows : [];
+    },
+    best(id){
+      const top = this.get(id)[0];
+      return top ? top.score : 0;
+    },
+    // 0-based position a score would take; ties rank below existing rows.
+    rankOf(id, score){
+      const rows = this.get(id);
+      const i = rows.findIndex(r => score > r.score);
+      return i < 0 ? rows.length : i;
+    },
+    qualifies(id, score){
+      return score > 0 && this.rankOf(id, score) < this.size;
+    },
+    // Returns the 0-based rank of the new row, or -1 if it did not make the table.
+    add(id, entry){
+      const rows = this.get(id);
+      const rank = this.rankOf(id, entry.score);
+      if (rank >= this.size) return -1;
+      rows.splice(rank, 0, entry);
+      store.set(`px_lb_${id}`, rows.slice(0, this.size));
+      return rank;
+    },
+    clear(id){
+      store.set(`px_lb_${id}`, []);
+    }
+  };
 
-    // game state
-    let running = false;
-    let paused = false;
-    let alive = true;
+  const cleanInitials = (v) => (String(v || "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 3) || "???");
+
+  // ---------- Achievements ----------
+  // Games declare rules ({ id, title, desc, event, goal, mode }) and call
+  // achievements.emit(gameId, event, value). "max" rules track the highest value
+  // seen, "count" rules add up values. Saved under px_achievements.
+  const achievements = {
+    rules: [],
+    byEvent: {},               // "game:event" -> rules
+    state: null,
+    onUnlock: null,            // set by the shell (toast)
+    define(gameId, rules){
+      for (const r of rules){
+        const rule = { mode: "max", ...r, game: gameId };
+        this.rules.push(rule);
+        (this.byEvent[`${gameId}:${rule.event}`] ||= []).push(rule);
+      }
+    },
+    load(){
+      if (!this.state) this.state = store.get("px_achievements", { progress: {}, unlocked: {} });
+      return this.state;
+    },
+    emit(gameId, event, value = 1){
+      const rules = this.byEvent[`${gameId}:${event}`];
+      if (!rules) return;
+      const st = this.load();
+      let changed = false;
+      for (const r of rules){
+        if (st.unlocked[r.id]) continue;
+        const prev = st.progress[r.id] || 0;
+        const next = Math.min(r.goal, r.mode === "count" ? prev + value : Math.max(prev, value));
+        if (next === prev) continue;
+        st.progress[r.id] = next;
+        changed = true;
+        if (next >= r.goal){
+          st.unlocked[r.id] = new Date().toISOString();
+          this.onUnlock?.(r);
+        }
+      }
+      if (changed) store.set("px_achievements", st);
+    },
+    progress(id){
+      const st = this.load();
+      return st.unlocked[id] ? this.rules.find(r => r.id === id)?.goal || 0 : st.progress[id] || 0;
+    },
+    isUnlocked(id){ return !!this.load().unlocked[id]; },
+    forGame(gameId){ return this.rules.filter(r => r.game === gameId); },
+    count(gameId){
+      const list = this.forGame(gameId);
+      return { got: list.filter(r => this.isUnlocked(r.id)).length, total: list.length };
+    }
+  };
 
-    const W = 360; // internal resolution for crisp pixel look
-    const H = 480;
+  // ---------- Accessibility ----------
+  // Player options saved under px_a11y and applied as attributes on <html>:
+  // data-theme="contrast" switches to a high-contrast, colorblind-safe palette
+  // and data-motion="reduce" drops the background effects and transitions.
+  // `speed` below 1 slows BYTE RUNNER and widens GLITCH REACT windows; those
+  // scores are stored with `assist` and marked on the leaderboards.
+  const motionQuery = window.matchMedia?.("(prefers-reduced-motion: reduce)");
+
+  const a11y = {
+    theme: "default",          // "default" | "contrast"
+    motion: "system",          // "system" | "reduce" | "full"
+    speed: 1,
+    load(){
+      Object.assign(this, store.get("px_a11y", {}));
+      this.apply();
+    },
+    set(key, value){
+      this[key] = value;
+      store.set("px_a11y", { theme: this.theme, motion: this.motion, speed: this.speed });
+      this.apply();
+    },
+    reducedMotion(){
+      return this.motion === "reduce" || (this.motion === "system" && !!motionQuery?.matches);
+    },
+    apply(){
+      document.documentElement.dataset.theme = this.theme;
+      document.documentElement.dataset.motion = this.reducedMotion() ? "reduce" : "full";
+    }
+  };
+  a11y.load();
+  motionQuery?.addEventListener?.("change", () => a11y.apply());
+
+  // Screen-reader announcements through a visually hidden live region.
+  // Clearing first makes a repeated message ("Pad H") announce again.
+  const srStatus = $("#srStatus");
+  let announceTimer = 0;
+  function announce(text){
+    clearTimeout(announceTimer);
+    srStatus.textContent = "";
+    announceTimer = setTimeout(() => { srStatus.textContent = text; }, 30);
+  }
 
-    const lanes = 3;
-    const laneX = (i) => (W * (0.2 + i * 0.3)); // positions 20%, 50%, 80%
-    let playerLane = 1;
+  // ---------- Settings ----------
+  // Shell options live in px_settings. A game lists its own options as
+  // `settings` (see the registry); their values are saved per game under
+  // px_settings_<id>, checked against that list on every read and handed to
+  // the game through applySettings(values), also while it is mounted.
+  //   { id, label, type: "toggle", default }
+  //   { id, label, type: "range", min, max, step, default, fmt?(v) }
+  //   { id, label, type: "select", options: [[value, label], ...], default }
+  // An optional `hint` is shown under the game's options.
+  const settings = {
+    global: { shake: true, fps: false, keyboard: true, ...store.get("px_settings", {}) },
+    defs: {},                  // gameId -> option list
+    setGlobal(key, value){
+      this.global[key] = value;
+      store.set("px_settings", this.global);
+      applyDisplay();
+    },
+    define(gameId, list){
+      this.defs[gameId] = list;
+    },
+    get(gameId){
+      const saved = store.get(`px_settings_${gameId}`, {});
+      const out = {};
+      for (const def of this.defs[gameId] || []) out[def.id] = settingValue(def, saved[def.id]);
+      return out;
+    },
+    set(gameId, id, value){
+      store.set(`px_settings_${gameId}`, { ...this.get(gameId), [id]: value });
+      if (activeGame?.id === gameId) activeGame.applySettings?.(this.get(gameId));
+    },
+    reset(gameId){
+      store.remove(`px_settings_${gameId}`);
+      if (activeGame?.id === gameId) activeGame.applySettings?.(this.get(gameId));
+    }
+  };
 
-    let lastT = 0;
-    let tAcc = 0;
+  // Brings a saved value into the option's range (or back to its default).
+  function settingValue(def, v){
+    switch (def.type){
+      case "toggle":
+        return typeof v === "boolean" ? v : def.default;
+      case "range": {
+        if (!isNum(v)) return def.default;
+        const step = def.step || 1;
+        return Number((def.min + Math.round((clamp(v, def.min, def.max) - def.min) / step) * step).toFixed(6));
+      }
+      case "select":
+        return def.options.some(([value]) => value === v) ? v : def.default;
+    }
+    return def.default;
+  }
 
-    let speed = 110;           // pixels/sec baseline
-    let speedGain = 10;        // grows over time
-    let score = 0;
-    let distance = 0;
+  // Short jolt on a crash or a miss; off with the setting or reduced motion.
+  function shake(node){
+    if (!node || !settings.global.shake || a11y.reducedMotion()) return;
+    node.classList.remove("shake");
+    void node.offsetWidth;     // restart the animation
+    node.classList.add("shake");
+    node.addEventListener("animationend", () => node.classList.remove("shake"), { once: true });
+  }
 
-    let obstacles = [];        // {lane, y, h}
-    let spawnTimer = 0;
-    let spawnEvery = 0.85;     // seconds, decreases gradually
+  // ---------- Engine loop ----------
+  // Games do not run their own requestAnimationFrame loops: a mounted game
+  // hands the shell its callbacks with engine.run({ step, update, render, maxFrame }):
+  //   update(step)       fixed simulation steps, as many as wall time allows
+  //   render(alpha, dt)  once per frame; alpha (0..1) is how far time has moved
+  //                      past the last step towards the next, for interpolation
+  // Frame time is capped at maxFrame seconds (default 0.25) so a stalled tab
+  // does not fast-forward. engine.resync() drops the time still owed, for
+  // games that settle a long gap themselves (the clicker's offline earnings).
+  const engine = (() => {
+    let clock = null;
+    let raf = 0;
+    let last = 0;
+    let owed = 0;              // seconds not yet simulated
+
+    // FPS overlay: frames and time spent in update + render, averaged every half second
+    const meterEl = $("#fpsMeter");
+    let frames = 0;
+    let busy = 0;
+    let from = 0;
+
+    // Runs only while a game holds the clock; the frame after stop() ends the loop.
+    function frame(t){
+      const c = clock;
+      if (!c){
+        raf = 0;
+        return;
+      }
+      raf = requestAnimationFrame(frame);
+      const dt = last ? (t - last) / 1000 : 0;
+      last = t;
 
-    // input
-    let pointerDown = null;
+      const begin = now();
+      owed += Math.min(dt, c.maxFrame);
+      while (owed >= c.step && clock === c){
+        owed -= c.step;
+        c.update(c.step);
+      }
+      if (clock === c) c.render?.(owed / c.step, dt);
+      if (!meterEl.hidden) meter(t, now() - begin);
+    }
 
-    function reset(){
-      running = true;
-      paused = false;
-      alive = true;
+    function meter(t, ms){
+      if (!from) from = t;
+      frames++;
+      busy += ms;
+      if (t - from < 500) return;
+      const fps = Math.round(frames * 1000 / (t - from));
+      meterEl.textContent = `${fps} FPS • ${(busy / frames).toFixed(1)} ms`;
+      frames = 0;
+      busy = 0;
+      from = t;
+    }
 
-      playerLane = 1;
+    function wake(){
+      if (raf) return;
+      last = 0;
+      raf = requestAnimationFrame(frame);
+    }
 
-      lastT = 0;
-      tAcc = 0;
+    function resetMeter(){
+      meterEl.textContent = "-- FPS";
+      frames = 0;
+      busy = 0;
+      from = 0;
+    }
 
-      speed = 110;
-      score = 0;
-      distance = 0;
+    return {
+      run({ step = 1 / 60, update = () => {}, render = null, maxFrame = 0.25 }){
+        clock = { step, update, render, maxFrame };
+        owed = 0;
+        last = 0;
+        wake();
+      },
+      stop(){
+        clock = null;
+        owed = 0;
+        resetMeter();
+      },
+      resync(){
+        owed = 0;
+      },
+      // The meter only counts frames while a game runs; on the menus it idles.
+      showMeter(on){
+        meterEl.hidden = !on;
+        resetMeter();
+      }
+    };
+  })();
 
-      obstacles = [];
-      spawnTimer = 0;
-      spawnEvery = 0.85;
+  function applyDisplay(){
+    engine.showMeter(settings.global.fps);
+  }
+  applyDisplay();
+
+  // ---------- Sound (procedural WebAudio synth, no audio files) ----------
+  const midiHz = (m) => 440 * Math.pow(2, (m - 69) / 12);
+
+  // Each SFX is a list of voices: oscillator sweeps (freq -> to) or a noise burst.
+  const SFX = {
+    move:   [{ type:"square", freq:660, to:880, dur:0.05, vol:0.18 }],
+    crash:  [{ type:"sawtooth", freq:220, to:40, dur:0.40, vol:0.45 }, { noise:true, dur:0.30, vol:0.35 }],
+    click:  [{ type:"square", freq:520, to:600, dur:0.03, vol:0.12 }],
+    crit:   [{ type:"square", freq:880, to:1760, dur:0.08, vol:0.22 }, { type:"square", freq:1320, to:2640, dur:0.08, vol:0.16, delay:0.06 }],
+    buy:    [72, 76, 79, 84].map((m, i) => ({ type:"triangle", freq:midiHz(m), dur:0.07, vol:0.25, delay:i * 0.05 })),
+    hit:    [{ type:"triangle", freq:740, to:990, dur:0.07, vol:0.25 }],
+    miss:   [{ type:"sawtooth", freq:300, to:90, dur:0.28, vol:0.35 }],
+    streak: [72, 76, 79, 84, 88].map((m, i) => ({ type:"square", freq:midiHz(m), dur:0.06, vol:0.16, delay:i * 0.045 })),
+    orb:    [{ type:"triangle", freq:1320, to:1760, dur:0.05, vol:0.14 }],
+    power:  [60, 67, 72, 79].map((m, i) => ({ type:"square", freq:midiHz(m), dur:0.06, vol:0.18, delay:i * 0.04 })),
+    shield: [{ type:"triangle", freq:440, to:1200, dur:0.16, vol:0.30 }, { noise:true, dur:0.10, vol:0.18 }],
+    // one tone per memory pad, up a C major scale
+    ...Object.fromEntries([60, 62, 64, 65, 67, 69, 71, 72, 74].map((m, i) => [`note${i}`, [{ type:"triangle", freq:midiHz(m), dur:0.22, vol:0.28 }]]))
+  };
 
-      draw(0); // immediate render
+  // Short 16-step loops per game. Numbers are MIDI notes, 0 is a rest.
+  const TRACKS = {
+    runner: {
+      bpm: 138,
+      lead: [76,0,79,0, 81,0,79,76, 74,0,76,0, 79,0,0,0],
+      bass: [40,0,40,0, 43,0,43,0, 45,0,45,0, 43,0,38,0]
+    },
+    clicker: {
+      bpm: 96,
+      lead: [72,0,0,76, 0,0,79,0, 77,0,0,74, 0,0,71,0],
+      bass: [36,0,0,0, 43,0,0,0, 41,0,0,0, 43,0,0,0]
+    },
+    react: {
+      bpm: 150,
+      lead: [81,81,0,84, 0,81,0,79, 81,0,84,0, 86,0,84,0],
+      bass: [45,0,45,45, 0,45,0,0, 41,0,41,41, 0,43,0,0]
+    },
+    snake: {
+      bpm: 120,
+      lead: [79,0,76,0, 72,0,76,79, 0,81,0,79, 76,0,74,0],
+      bass: [43,0,0,43, 0,0,40,0, 38,0,0,38, 0,0,43,0]
     }
+  };
 
-    function togglePause(){
-      if (!running) return true;
-      paused = !paused;
-      return paused;
+  function createSound(){
+    const MIX_KEY = "px_mix";
+    const mix = Object.assign({ master: 0.8, sfx: 0.9, music: 0.5 }, store.get(MIX_KEY, {}));
+
+    let ctx = null;
+    let masterGain, sfxGain, musicGain, noiseBuf;
+    let track = null;        // requested track id (kept while muted)
+    let seqTimer = 0;
+    let step = 0;
+    let nextTime = 0;
+
+    function ensure(){
+      if (ctx) return ctx;
+      const AC = window.AudioContext || window.webkitAudioContext;
+      if (!AC) return null;
+      ctx = new AC();
+
+      masterGain = ctx.createGain();
+      sfxGain = ctx.createGain();
+      musicGain = ctx.createGain();
+      sfxGain.connect(masterGain);
+      musicGain.connect(masterGain);
+      masterGain.connect(ctx.destination);
+
+      noiseBuf = ctx.createBuffer(1, ctx.sampleRate * 0.5, ctx.sampleRate);
+      const data = noiseBuf.getChannelData(0);
+      for (let i=0;i<data.length;i++) data[i] = Math.random() * 2 - 1;
+
+      applyMix();
+      return ctx;
     }
 
-    function stop(){
-      running = false;
-      paused = false;
-      cancelAnimationFrame(raf);
-      raf = 0;
+    function applyMix(){
+      if (!ctx) return;
+      masterGain.gain.value = api.enabled ? mix.master : 0;
+      sfxGain.gain.value = mix.sfx;
+      musicGain.gain.value = mix.music * 0.6;
     }
 
-    function spawnObstacle(){
-      const lane = Math.floor(Math.random() * lanes);
-      const h = 18 + Math.floor(Math.random() * 18);
-      obstacles.push({ lane, y: -h, h });
+    function voice(v, t0, out){
+      const start = t0 + (v.delay || 0);
+      const end = start + v.dur;
+      const g = ctx.createGain();
+      g.gain.setValueAtTime(v.vol ?? 0.2, start);
+      g.gain.exponentialRampToValueAtTime(0.0001, end);
+      g.connect(out);
+
+      let src;
+      if (v.noise){
+        src = ctx.createBufferSource();
+        src.buffer = noiseBuf;
+      } else {
+        src = ctx.createOscillator();
+        src.type = v.type || "square";
+        src.frequency.setValueAtTime(v.freq, start);
+        if (v.to) src.frequency.exponentialRampToValueAtTime(v.to, end);
+      }
+      src.connect(g);
+      src.start(start);
+      src.stop(end + 0.02);
     }
 
-    function rectsOverlap(ax, ay, aw, ah, bx, by, bw, bh){
-      return ax < bx + bw && ax + aw > bx && ay < by + bh && ay + ah > by;
+    function play(name){
+      if (!api.enabled || !SFX[name] || !ensure()) return;
+      if (ctx.state === "suspended") ctx.resume();
+      const t0 = ctx.currentTime + 0.005;
+      SFX[name].forEach(v => voice(v, t0, sfxGain));
     }
 
-    function update(dt){
-      if (!alive) return;
-
-      // ramp difficulty
-      distance += speed * dt;
-      speed += speedGain * dt;
-      spawnEvery = clamp(0.85 - (distance / 80000), 0.35, 0.85);
-
-      // scoring: smooth and satisfying
-      score += (12 + speed * 0.05) * dt;
-
-      // spawn
-      spawnTimer += dt;
-      if (spawnTimer >= spawnEvery){
-        spawnTimer = 0;
-        spawnObstacle();
-        // occasional second obstacle for spike moments (rare)
-        if (Math.random() < 0.10 && distance > 2000) spawnObstacle();
-      }
-
-      // move obstacles
-      obstacles.forEach(o => { o.y += speed * dt; });
-
-      // cull
-      obstacles = obstacles.filter(o => o.y < H + 60);
-
-      // collision
-      const px = laneX(playerLane) - 14;
-      const py = H - 70;
-      const pw = 28;
-      const ph = 28;
-
-      for (const o of obstacles){
-        const ox = laneX(o.lane) - 18;
-        const oy = o.y;
-        const ow = 36;
-        const oh = o.h;
-        if (rectsOverlap(px, py, pw, ph, ox, oy, ow, oh)){
-          alive = false;
-          best = Math.max(best, Math.floor(score));
-          store.set(KEY, best);
-          break;
-        }
+    function schedule(){
+      const tr = TRACKS[track];
+      if (!tr) return;
+      const stepDur = 60 / tr.bpm / 4;
+      while (nextTime < ctx.currentTime + 0.12){
+        const i = step % tr.lead.length;
+        if (tr.lead[i]) voice({ type:"square", freq:midiHz(tr.lead[i]), dur:stepDur * 0.9, vol:0.10 }, nextTime, musicGain);
+        if (tr.bass[i]) voice({ type:"triangle", freq:midiHz(tr.bass[i]), dur:stepDur * 1.8, vol:0.22 }, nextTime, musicGain);
+        nextTime += stepDur;
+        step++;
       }
     }
 
-    function draw(dt){
-      if (!ctx) return;
-
-      // background
-      ctx.clearRect(0,0,W,H);
-      ctx.fillStyle = "#05060b";
-      ctx.fillRect(0,0,W,H);
-
-      // subtle gradient
-      const g = ctx.createLinearGradient(0,0,0,H);
-      g.addColorStop(0, "rgba(124,247,255,0.10)");
-      g.addColorStop(0.5, "rgba(167,139,250,0.08)");
-      g.addColorStop(1, "rgba(0,0,0,0)");
-      ctx.fillStyle = g;
-      ctx.fillRect(0,0,W,H);
-
-      // lanes
-      ctx.globalAlpha = 0.7;
-      for (let i=0;i<lanes;i++){
-        const x = laneX(i);
-        ctx.fillStyle = "rgba(232,240,255,0.10)";
-        for (let y=0; y<H; y+=24){
-          ctx.fillRect(x-1, y + ((Math.floor(distance/18)+i)%2)*10, 2, 10);
-        }
-      }
-      ctx.globalAlpha = 1;
+    function runSequencer(){
+      clearInterval(seqTimer);
+      seqTimer = 0;
+      if (!api.enabled || !TRACKS[track] || !ensure()) return;
+      if (ctx.state === "suspended") ctx.resume();
+      step = 0;
+      nextTime = ctx.currentTime + 0.05;
+      schedule();
+      seqTimer = setInterval(schedule, 25);
+    }
 
-      // obstacles
-      for (const o of obstacles){
-        const x = laneX(o.lane);
-        const y = o.y;
+    function startMusic(id){
+      track = id;
+      runSequencer();
+    }
 
-        // body
-        ctx.fillStyle = "rgba(251,113,133,0.95)";
-        ctx.fillRect(x-18, y, 36, o.h);
+    function stopMusic(){
+      track = null;
+      clearInterval(seqTimer);
+      seqTimer = 0;
+    }
 
-        // highlight pixel strip
-        ctx.fillStyle = "rgba(255,255,255,0.30)";
-        ctx.fillRect(x-18, y, 6, o.h);
-      }
+    function setMix(channel, value){
+      if (!(channel in mix)) return;
+      mix[channel] = clamp(Number(value) || 0, 0, 1);
+      store.set(MIX_KEY, mix);
+      applyMix();
+    }
 
-      // player
-      const px = laneX(playerLane);
-      const py = H - 70;
+    // Browsers keep the context suspended until a user gesture.
+    function unlock(){
+      if (ctx && ctx.state === "suspended") ctx.resume();
+    }
 
-      ctx.fillStyle = "rgba(124,247,255,0.95)";
-      ctx.fillRect(px-14, py, 28, 28);
+    const api = {
+      enabled: store.get("px_sound", false),
+      mix,
+      set(v){
+        this.enabled = !!v;
+        store.set("px_sound", this.enabled);
+        if (this.enabled) ensure();
+        applyMix();
+        runSequencer();
+        updateSoundChip();
+      },
+      setMix,
+      play,
+      startMusic,
+      stopMusic,
+      unlock
+    };
+    return api;
+  }
 
-      ctx.fillStyle = "rgba(255,255,255,0.35)";
-      ctx.fillRect(px-14, py, 6, 28);
+  const sound = createSound();
 
-      // HUD overlay inside canvas (pixel font look)
-      ctx.fillStyle = "rgba(232,240,255,0.85)";
-      ctx.font = "10px monospace";
-      ctx.fillText(`SCORE ${Math.floor(score)}`, 12, 18);
-      ctx.fillText(`BEST  ${best}`, 12, 32);
+  // Keyboard shortcuts must not fire while the player types into a field.
+  const isTyping = (e) => {
+    const t = e.target;
+    return !!t && (t.tagName === "INPUT" || t.tagName === "TEXTAREA" || t.tagName === "SELECT" || t.isContentEditable);
+  };
 
-      // status
-      if (!alive){
-        ctx.fillStyle = "rgba(0,0,0,0.55)";
-        ctx.fillRect(0,0,W,H);
+  // ---------- Input (keyboard + gamepad) ----------
+  // Games declare actions ({ id, label, keys, pad, player? }) and receive action
+  // ids instead of raw events. Keys are rebindable per game and saved under
+  // px_bindings; gamepad buttons use the standard mapping and stay fixed.
+  // An action with `player: n` only answers the n-th connected gamepad, for
+  // local multiplayer; without it every gamepad triggers it.
+  const PAD_BUTTONS = { a: 0, b: 1, x: 2, y: 3, select: 8, start: 9, up: 12, down: 13, left: 14, right: 15 };
+  const PAD_LABELS = { a: "A", b: "B", x: "X", y: "Y", select: "Select", start: "Start", up: "D-pad ↑", down: "D-pad ↓", left: "D-pad ←", right: "D-pad →" };
+  const KEY_LABELS = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", " ": "Space", Escape: "Esc" };
+
+  const normKey = (k) => (k.length === 1 ? k.toLowerCase() : k);
+  const keyLabel = (k) => KEY_LABELS[k] || (k.length === 1 ? k.toUpperCase() : k);
+
+  function createInput(){
+    const KEY = "px_bindings";
+    const defs = {};           // gameId -> actions
+    const custom = store.get(KEY, {});
+
+    let handler = null;
+    let attachedId = null;
+    let enabled = true;        // off while another screen covers a mounted game
+    let padRaf = 0;
+    let padPrev = [];          // per gamepad: Set of held virtual buttons
+
+    function define(gameId, actions){
+      defs[gameId] = actions.map(a => ({ ...a, keys: (a.keys || []).map(normKey), pad: a.pad || [] }));
+    }
 
-        ctx.fillStyle = "rgba(232,240,255,0.95)";
-        ctx.font = "bold 16px monospace";
-        ctx.fillText("GAME OVER", 110, 210);
+    function keysFor(gameId, actionId){
+      const c = custom[gameId]?.[actionId];
+      if (Array.isArray(c)) return c;
+      return defs[gameId]?.find(a => a.id === actionId)?.keys || [];
+    }
 
-        ctx.font = "12px monospace";
-        ctx.fillText("Press Restart (or Enter)", 82, 236);
-      } else if (paused){
-        ctx.fillStyle = "rgba(0,0,0,0.40)";
-        ctx.fillRect(0,0,W,H);
-        ctx.fillStyle = "rgba(232,240,255,0.95)";
-        ctx.font = "bold 16px monospace";
-        ctx.fillText("PAUSED", 132, 230);
+    function save(){ store.set(KEY, custom); }
+
+    // Puts `key` in one of an action's slots and takes it away from any other action of that game.
+    function rebind(gameId, actionId, slot, key){
+      key = normKey(key);
+      for (const a of defs[gameId] || []){
+        const list = keysFor(gameId, a.id).slice();
+        const at = list.indexOf(key);
+        if (a.id !== actionId && at >= 0){
+          list.splice(at, 1);
+          (custom[gameId] ||= {})[a.id] = list;
+        }
       }
+      const list = keysFor(gameId, actionId).slice();
+      const existing = list.indexOf(key);
+      if (existing >= 0) list.splice(existing, 1);
+      list.splice(Math.min(slot, list.length), 0, key);
+      (custom[gameId] ||= {})[actionId] = list.slice(0, 2);
+      save();
     }
 
-    function loop(t){
-      if (!running){
-        draw(0);
-        return;
-      }
-      raf = requestAnimationFrame(loop);
+    function unbind(gameId, actionId, slot){
+      const list = keysFor(gameId, actionId).slice();
+      list.splice(slot, 1);
+      (custom[gameId] ||= {})[actionId] = list;
+      save();
+    }
 
-      if (!lastT) lastT = t;
-      const dt = Math.min(0.05, (t - lastT) / 1000);
-      lastT = t;
+    function reset(gameId){
+      delete custom[gameId];
+      save();
+    }
 
-      if (!paused && alive){
-        update(dt);
+    // "← → / A D": first keys of each action, then the second keys.
+    function label(gameId, actionIds){
+      const lists = actionIds.map(id => keysFor(gameId, id));
+      const groups = [];
+      for (let slot=0; slot<2; slot++){
+        const row = lists.map(l => l[slot]).filter(Boolean);
+        if (row.length === lists.length) groups.push(row.map(keyLabel).join(" "));
       }
-      draw(dt);
+      if (!groups.length) groups.push(lists.map(l => (l[0] ? keyLabel(l[0]) : "—")).join(" "));
+      return groups.join(" / ");
     }
 
-    function moveLane(dir){
-      if (!alive) return;
-      playerLane = clamp(playerLane + dir, 0, lanes-1);
+    function dispatch(ids, source){
+      for (const id of ids){
+        if (handler && handler(id, source)) return true;
+      }
+      return false;
     }
 
-    function onKey(e){
-      if (e.repeat) return;
-
-      if (e.key === "ArrowLeft" || e.key.toLowerCase() === "a") moveLane(-1);
-      if (e.key === "ArrowRight" || e.key.toLowerCase() === "d") moveLane(+1);
+    function onKeyDown(e){
+      if (!handler || !enabled || !settings.global.keyboard) return;
+      if (e.repeat || isTyping(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+      const k = normKey(e.key);
+      const ids = (defs[attachedId] || []).filter(a => keysFor(attachedId, a.id).includes(k)).map(a => a.id);
+      if (ids.length && dispatch(ids, "key")) e.preventDefault();
+    }
 
-      if (e.key === "Enter") {
-        if (!alive) reset();
+    function held(gp){
+      const out = new Set();
+      for (const [name, idx] of Object.entries(PAD_BUTTONS)){
+        if (gp.buttons[idx]?.pressed) out.add(name);
       }
+      const [ax = 0, ay = 0] = gp.axes;
+      if (ax < -0.5) out.add("left");
+      if (ax > 0.5) out.add("right");
+      if (ay < -0.5) out.add("up");
+      if (ay > 0.5) out.add("down");
+      return out;
+    }
 
-      if (e.key === " "){
-        e.preventDefault();
-        togglePause();
+    function pollPads(){
+      padRaf = requestAnimationFrame(pollPads);
+      const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+      let player = 0;
+      for (let i=0;i<pads.length;i++){
+        const gp = pads[i];
+        if (!gp) { padPrev[i] = null; continue; }
+        player++;
+        const now = held(gp);
+        const prev = padPrev[i] || new Set();
+        for (const btn of now){
+          if (prev.has(btn) || !enabled) continue;
+          const ids = (defs[attachedId] || [])
+            .filter(a => a.pad.includes(btn) && (!a.player || a.player === player))
+            .map(a => a.id);
+          dispatch(ids, "pad");
+        }
+        padPrev[i] = now;
       }
     }
 
-    function onPointerDown(ev){
-      const p = pointerPoint(ev);
-      pointerDown = { x: p.x, y: p.y, t: now() };
+    function attach(gameId, fn){
+      detach();
+      attachedId = gameId;
+      handler = fn;
+      padPrev = [];
+      if (navigator.getGamepads) padRaf = requestAnimationFrame(pollPads);
     }
-    function onPointerUp(ev){
-      if (!pointerDown) return;
-      const p = pointerPoint(ev);
-      const dx = p.x - pointerDown.x;
-      const dy = p.y - pointerDown.y;
+
+    function detach(){
+      handler = null;
+      attachedId = null;
+      cancelAnimationFrame(padRaf);
+      padRaf = 0;
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+
+    function setEnabled(on){
+      enabled = on;
+    }
+
+    return {
+      define, keysFor, rebind, unbind, reset, label, attach, detach, setEnabled,
+      actions: (gameId) => defs[gameId] || [],
+      padLabel: (btn) => PAD_LABELS[btn] || btn
+    };
+  }
+
+  const input = createInput();
+
+  // ---------- DOM ----------
+  const screenMenu = $("#screenMenu");
+  const screenGame = $("#screenGame");
+  const screenBoards = $("#screenBoards");
+  const screenControls = $("#screenControls");
+  const screenTrophies = $("#screenTrophies");
+  const screenSettings = $("#screenSettings");
+  const gameHost = $("#gameHost");
+
+  const btnHome = $("#btnHome");
+  const btnScores = $("#btnScores");
+  const btnTrophies = $("#btnTrophies");
+  const btnSettings = $("#btnSettings");
+  const btnBack = $("#btnBack");
+  const btnRestart = $("#btnRestart");
+  const btnPause = $("#btnPause");
+  const btnMute = $("#btnMute");
+
+  const gameTitle = $("#gameTitle");
+  const gameSubtitle = $("#gameSubtitle");
+
+  const gameGrid = $("#gameGrid");
+  const controlsList = $("#controlsList");
+
+  function showScreen(which){
+    screenMenu.classList.toggle("screen--active", which === "menu");
+    screenGame.classList.toggle("screen--active", which === "game");
+    screenBoards.classList.toggle("screen--active", which === "boards");
+    screenControls.classList.toggle("screen--active", which === "controls");
+    screenTrophies.classList.toggle("screen--active", which === "trophies");
+    screenSettings.classList.toggle("screen--active", which === "settings");
+    input.setEnabled(which === "game");
+  }
+
+  function setHeader(title, subtitle){
+    gameTitle.textContent = title;
+    gameSubtitle.textContent = subtitle;
+  }
+
+  function updateSoundChip(){
+    btnMute.setAttribute("aria-pressed", String(sound.enabled));
+    btnMute.textContent = `Sound: ${sound.enabled ? "ON" : "OFF"}`;
+  }
+  updateSoundChip();
+
+  // ---------- Global Game Shell controls ----------
+  let activeGame = null;
+  let activeRoute = null;      // route the mounted game was opened from
+
+  // Public entry points write the URL; applyRoute() does the actual switching,
+  // so links, refreshes and browser back/forward all take the same path.
+  function mountGame(gameId, opts = {}){
+    navigate(gameRoute(gameId, opts));
+  }
+
+  function backToMenu(){
+    navigate("#/");
+  }
+
+  function openBoards(boardId){
+    navigate(boardId ? `#/scores/${boardId}` : "#/scores");
+  }
+
+  function openGame(gameId, opts = {}){
+    if (activeGame?.unmount) activeGame.unmount();
+    gameHost.innerHTML = "";
+
+    activeGame = games[gameId];
+    if (!activeGame) return;
+
+    setHeader(activeGame.title, activeGame.subtitle);
+    activeGame.applySettings?.(settings.get(gameId));
+    activeGame.mount(gameHost, opts);
+
+    btnPause.disabled = !activeGame.togglePause;
+    setPauseUi(false);
+
+    showScreen("game");
+    refreshMenuBadges();
+  }
+
+  function closeGame(){
+    hideResume();
+    if (activeGame?.unmount) activeGame.unmount();
+    activeGame = null;
+    activeRoute = null;
+    gameHost.innerHTML = "";
+  }
+
+  function showMenu(){
+    closeGame();
+    showScreen("menu");
+    refreshMenuBadges();
+  }
+
+  function showBoards(boardId){
+    closeGame();
+    renderBoards(boardId);
+    showScreen("boards");
+  }
+
+  function showTrophies(){
+    closeGame();
+    renderTrophies();
+    showScreen("trophies");
+  }
+
+  // Settings keep the current game mounted (paused, like a blurred window)
+  // so changes apply to it live; Done goes back to where the player was
+  // without leaving a Settings entry behind in the history.
+  let settingsReturn = null;   // route Settings was opened from, null on a direct link
+
+  function showSettings(from){
+    if (!from?.startsWith("#/settings")) settingsReturn = from;
+    if (activeGame) autoPause();
+    renderSettings();
+    showScreen("settings");
+  }
+
+  function showControls(){
+    closeGame();
+    renderControls();
+    showScreen("controls");
+  }
+
+  // ---------- Routing ----------
+  // #/                          menu
+  // #/scores[/<board>]          leaderboards
+  // #/controls                  key bindings
+  // #/trophies                  achievements
+  // #/settings                  global and per-game options
+  // #/<game>[?seed=N&daily=D]   a game, optionally on a fixed seed or today's daily
+  let currentRoute = null;
+
+  function gameRoute(gameId, opts = {}){
+    const q = new URLSearchParams();
+    if (opts.daily) q.set("daily", opts.daily);
+    else if (opts.seed != null) q.set("seed", String(opts.seed >>> 0));
+    const qs = q.toString();
+    return `#/${encodeURIComponent(gameId)}${qs ? `?${qs}` : ""}`;
+  }
+
+  function navigate(hash){
+    if (location.hash === hash) applyRoute();
+    else location.hash = hash;
+  }
+
+  function applyRoute(){
+    const hash = location.hash || "#/";
+    if (hash === currentRoute) return;
+    const from = currentRoute;
+    currentRoute = hash;
+
+    const [path, query = ""] = hash.replace(/^#\/?/, "").split("?");
+    const parts = path.split("/").filter(Boolean).map(decodeURIComponent);
+    const params = new URLSearchParams(query);
+
+    if (!parts.length) return showMenu();
+    if (parts[0] === "scores") return showBoards(parts[1]);
+    if (parts[0] === "controls") return showControls();
+    if (parts[0] === "trophies") return showTrophies();
+    if (parts[0] === "settings") return showSettings(from);
+
+    // back from Settings to the game that is still mounted
+    if (activeGame && hash === activeRoute) return showScreen("game");
+
+    const gameId = parts[0];
+    if (!games[gameId]){
+      currentRoute = null;
+      history.replaceState(null, "", "#/");
+      return applyRoute();
+    }
+
+    const opts = {};
+    const seed = params.get("seed");
+    if (seed != null && /^\d+$/.test(seed)) opts.seed = Number(seed) >>> 0;
+
+    // Daily seeds are derived, never taken from the link; only today's daily records scores.
+    const day = params.get("daily");
+    if (day && /^\d{4}-\d{2}-\d{2}$/.test(day) && daily.games.some(g => g.id === gameId)){
+      opts.seed = daily.seed(day, gameId);
+      if (day === dayKey()) opts.daily = day;
+    }
+
+    openGame(gameId, opts);
+    activeRoute = hash;
+  }
+
+  window.addEventListener("hashchange", applyRoute);
+
+  btnHome.addEventListener("click", backToMenu);
+  btnScores.addEventListener("click", () => openBoards());
+  btnTrophies.addEventListener("click", () => navigate("#/trophies"));
+  btnSettings.addEventListener("click", () => navigate("#/settings"));
+  $("#btnSettingsDone").addEventListener("click", () => {
+    if (settingsReturn) history.back();
+    else location.replace("#/");
+  });
+  btnBack.addEventListener("click", backToMenu);
+
+  btnRestart.addEventListener("click", () => {
+    activeGame?.restart?.();
+    setPauseUi(gamePaused());
+    refreshMenuBadges();
+  });
+
+  // Keeps the Pause chip in step when a game pauses itself (keys, gamepad).
+  function setPauseUi(paused){
+    btnPause.setAttribute("aria-pressed", String(paused));
+    btnPause.textContent = paused ? "Resume" : "Pause";
+    if (!paused) hideResume();
+  }
+
+  // Games without isPaused() are tracked through the Pause chip.
+  function gamePaused(){
+    if (!activeGame) return false;
+    return activeGame.isPaused ? activeGame.isPaused() : btnPause.getAttribute("aria-pressed") === "true";
+  }
+
+  btnPause.addEventListener("click", () => {
+    if (!activeGame?.togglePause) return;
+    setPauseUi(activeGame.togglePause());
+  });
+
+  btnMute.addEventListener("click", () => sound.set(!sound.enabled));
+
+  // ---------- Auto-pause ----------
+  // A hidden tab or a blurred window pauses the running game. Play resumes
+  // from an overlay with a short countdown, so a reflex game cannot fail the
+  // instant the player comes back.
+  const resumeOverlay = $("#resumeOverlay");
+  const btnResume = $("#btnResume");
+  const RESUME_FROM = 3;
+  let resumeTimer = 0;
+
+  function autoPause(){
+    if (!activeGame?.togglePause) return;
+    if (!resumeOverlay.hidden) return showResume();     // left again mid-countdown
+    if (gamePaused() || activeGame.autoPause?.() === false) return;
+    setPauseUi(activeGame.togglePause());
+    showResume();
+  }
+
+  function showResume(){
+    clearInterval(resumeTimer);
+    resumeTimer = 0;
+    resumeOverlay.hidden = false;
+    btnResume.textContent = "Paused • click to resume";
+  }
+
+  function hideResume(){
+    clearInterval(resumeTimer);
+    resumeTimer = 0;
+    resumeOverlay.hidden = true;
+  }
+
+  btnResume.addEventListener("click", () => {
+    if (resumeTimer) return;
+    let n = RESUME_FROM;
+    btnResume.textContent = String(n);
+    sound.play("click");
+    resumeTimer = setInterval(() => {
+      if (--n > 0){
+        btnResume.textContent = String(n);
+        sound.play("click");
+        return;
+      }
+      hideResume();
+      if (activeGame?.togglePause && gamePaused()) setPauseUi(activeGame.togglePause());
+    }, 600);
+  });
+
+  document.addEventListener("visibilitychange", () => { if (document.hidden) autoPause(); });
+  window.addEventListener("blur", autoPause);
+
+  window.addEventListener("pointerdown", () => sound.unlock(), { passive:true });
+  window.addEventListener("keydown", () => sound.unlock());
+
+  // Save data (menu)
+  function saveStamp(){ return dayKey().replace(/-/g, ""); }
+
+  function applyImported(text){
+    try {
+      importSave(text);
+    } catch (err){
+      showToast("IMPORT FAILED", err.message);
+      return;
+    }
+    // games read their state when created, so start fresh from the imported save
+    location.reload();
+  }
+
+  $("#btnExportSave").addEventListener("click", () => {
+    downloadJson(`pixel-arcade-save-${saveStamp()}.json`, exportSave());
+  });
+  $("#btnImportSave").addEventListener("click", () => {
+    pickFile("application/json,.json,.txt").then(text => { if (text) applyImported(text); });
+  });
+  const saveBox = $("#btnCopySave").closest(".note");
+  $("#btnCopySave").addEventListener("click", () => {
+    const code = toBase64(JSON.stringify(exportSave()));
+    const show = () => promptCode(saveBox, { title: "Copy your save code", code });
+    if (navigator.clipboard?.writeText){
+      navigator.clipboard.writeText(code).then(
+        () => showToast("SAVE DATA", "Save code copied to the clipboard."),
+        show
+      );
+    } else {
+      show();
+    }
+  });
+  $("#btnPasteSave").addEventListener("click", () => {
+    promptCode(saveBox, { title: "Paste a save code. This replaces your current progress." })
+      .then(code => { if (code) applyImported(code); });
+  });
+
+  // Audio mix sliders (settings)
+  $$("[data-mix]").forEach(input => {
+    const ch = input.getAttribute("data-mix");
+    input.value = String(Math.round(sound.mix[ch] * 100));
+    input.addEventListener("input", () => sound.setMix(ch, Number(input.value) / 100));
+  });
+
+  // Accessibility options (settings)
+  const a11yControls = { theme: $("#selTheme"), motion: $("#selMotion"), speed: $("#selSpeed") };
+  for (const [key, sel] of Object.entries(a11yControls)){
+    sel.value = String(a11y[key]);
+    sel.addEventListener("change", () => a11y.set(key, key === "speed" ? Number(sel.value) : sel.value));
+  }
+
+  // Big number notation (settings)
+  const selNotation = $("#selNotation");
+  big.notation = store.get("px_notation", "suffix");
+  selNotation.value = big.notation;
+  selNotation.addEventListener("change", () => {
+    big.notation = selNotation.value;
+    store.set("px_notation", big.notation);
+    refreshMenuBadges();
+  });
+
+  // Display toggles (settings)
+  $$("[data-setting]").forEach(box => {
+    const key = box.getAttribute("data-setting");
+    box.checked = settings.global[key];
+    box.addEventListener("change", () => settings.setGlobal(key, box.checked));
+  });
+
+  // Per-game options (settings), generated from each game's `settings` list.
+  // The mounted game comes first.
+  const gameSettingsHost = $("#gameSettingsHost");
+
+  function renderSettings(){
+    gameSettingsHost.innerHTML = "";
+    const list = Object.values(games).filter(g => settings.defs[g.id]?.length);
+    list.sort((a, b) => (b === activeGame) - (a === activeGame));
+
+    for (const g of list){
+      const values = settings.get(g.id);
+      const note = el("div","note");
+      const rows = el("div","mix");
+      for (const def of settings.defs[g.id]) rows.appendChild(settingRow(g.id, def, values[def.id]));
+
+      const resetBtn = el("button","chip chip--ghost",{ type:"button", text:"Defaults" });
+      resetBtn.addEventListener("click", () => {
+        settings.reset(g.id);
+        renderSettings();
+      });
+      const actions = el("div","row note__actions");
+      actions.appendChild(resetBtn);
+
+      note.append(el("div","note__title",{ text: g === activeGame ? `${g.title} (playing)` : g.title }), rows);
+      const hints = settings.defs[g.id].filter(d => d.hint).map(d => d.hint);
+      if (hints.length) note.appendChild(el("p","note__text",{ text: hints.join(" ") }));
+      note.appendChild(actions);
+      gameSettingsHost.appendChild(note);
+    }
+  }
+
+  function settingRow(gameId, def, value){
+    const row = el("label","mix__row");
+    const name = el("span","",{ text: def.label });
+    let field;
+
+    if (def.type === "toggle"){
+      field = el("input","",{ type:"checkbox" });
+      field.checked = value;
+      field.addEventListener("change", () => settings.set(gameId, def.id, field.checked));
+    } else if (def.type === "range"){
+      const show = (v) => { name.textContent = `${def.label}: ${def.fmt ? def.fmt(v) : v}`; };
+      field = el("input","",{ type:"range", min: String(def.min), max: String(def.max), step: String(def.step || 1) });
+      field.value = String(value);
+      show(value);
+      field.addEventListener("input", () => {
+        const v = settingValue(def, Number(field.value));
+        show(v);
+        settings.set(gameId, def.id, v);
+      });
+    } else {
+      field = el("select");
+      for (const [v, text] of def.options) field.appendChild(el("option","",{ value: String(v), text }));
+      field.value = String(value);
+      field.addEventListener("change", () => {
+        const picked = def.options.find(([v]) => String(v) === field.value);
+        if (picked) settings.set(gameId, def.id, picked[0]);
+      });
+    }
+    row.append(name, field);
+    return row;
+  }
+
+  // Menu cards (generated from the registry)
+  gameGrid.addEventListener("click", (e) => {
+    const card = e.target.closest(".card");
+    if (card) mountGame(card.getAttribute("data-open"));
+  });
+
+  // ---------- Controls screen (key rebinding) ----------
+  const controlsHost = $("#controlsHost");
+  let capture = null;          // { gameId, actionId, slot } while waiting for a key
+
+  $("#btnRebind").addEventListener("click", () => navigate("#/controls"));
+
+  function renderControls(){
+    controlsHost.innerHTML = "";
+    for (const g of Object.values(games)){
+      const actions = input.actions(g.id);
+      if (!actions.length) continue;
+
+      const box = el("div","note bindings");
+      const head = el("div","bindings__head");
+      const reset = el("button","chip chip--ghost",{ type:"button", text:"Reset" });
+      reset.addEventListener("click", () => { input.reset(g.id); capture = null; refreshBindings(); });
+      head.append(el("div","note__title",{ text: g.title }), reset);
+      box.append(head);
+
+      for (const a of actions){
+        const row = el("div","bindings__row");
+        row.append(el("div","bindings__label",{ text: a.label }));
+        const keys = input.keysFor(g.id, a.id);
+        for (let slot=0; slot<2; slot++){
+          const waiting = capture && capture.gameId === g.id && capture.actionId === a.id && capture.slot === slot;
+          const btn = el("button", `keyBtn${waiting ? " keyBtn--wait" : ""}`, {
+            type:"button",
+            text: waiting ? "Press a key…" : (keys[slot] ? keyLabel(keys[slot]) : "—"),
+            "aria-label": `${g.title} ${a.label} key ${slot + 1}`
+          });
+          btn.addEventListener("click", () => {
+            capture = waiting ? null : { gameId: g.id, actionId: a.id, slot };
+            renderControls();
+          });
+          row.append(btn);
+        }
+        const padText = a.pad.map(b => input.padLabel(b)).join(" / ");
+        row.append(el("div","bindings__pad",{ text: padText ? `${a.player ? `Pad ${a.player}: ` : ""}${padText}` : "—" }));
+        box.append(row);
+      }
+      controlsHost.append(box);
+    }
+  }
+
+  function refreshBindings(){
+    renderControls();
+    renderMenu();
+  }
+
+  // Capture phase so the pressed key never reaches a game or the page.
+  window.addEventListener("keydown", (e) => {
+    if (!capture) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const { gameId, actionId, slot } = capture;
+    capture = null;
+    if (e.key === "Escape") return renderControls();
+    if (e.key === "Backspace" || e.key === "Delete") input.unbind(gameId, actionId, slot);
+    else input.rebind(gameId, actionId, slot, e.key);
+    refreshBindings();
+  }, true);
+
+  // ---------- Trophies screen + unlock toasts ----------
+  const trophyHost = $("#trophyHost");
+  const toastHost = $("#toasts");
+
+  function renderTrophies(){
+    trophyHost.innerHTML = "";
+    for (const g of Object.values(games)){
+      const list = achievements.forGame(g.id);
+      if (!list.length) continue;
+      const { got, total } = achievements.count(g.id);
+
+      const box = el("div","note trophies");
+      box.append(el("div","note__title",{ text: `${g.title} • ${got}/${total}` }));
+      for (const r of list){
+        const done = achievements.isUnlocked(r.id);
+        const value = achievements.progress(r.id);
+        const row = el("div", `trophy${done ? " trophy--done" : ""}`);
+        const meta = el("div","listItem__meta");
+        meta.append(
+          el("div","listItem__title",{ text: `${done ? "★" : "☆"} ${r.title}` }),
+          el("div","listItem__desc",{ text: r.desc })
+        );
+        const bar = el("div","bar",{ role:"progressbar", "aria-valuemin":"0", "aria-valuemax":String(r.goal), "aria-valuenow":String(value), "aria-label": r.title });
+        const fill = el("div","bar__fill");
+        fill.style.width = `${Math.round((value / r.goal) * 100)}%`;
+        bar.append(fill);
+        row.append(meta, bar, el("div","trophy__count",{ text: `${value.toLocaleString()}/${r.goal.toLocaleString()}` }));
+        box.append(row);
+      }
+      trophyHost.append(box);
+    }
+  }
+
+  function showToast(title, text){
+    const t = el("div","toast");
+    t.append(el("div","toast__title",{ text: title }), el("div","toast__text",{ text }));
+    toastHost.appendChild(t);
+    setTimeout(() => t.classList.add("toast--out"), 3200);
+    setTimeout(() => t.remove(), 3600);
+  }
+
+  achievements.onUnlock = (rule) => {
+    sound.play("streak");
+    showToast("★ ACHIEVEMENT", rule.title);
+    refreshMenuBadges();
+  };
+
+  // ---------- Leaderboard screen ----------
+  const boardTabs = $("#boardTabs");
+  const boardHost = $("#boardHost");
+  let boardShown = null;
+
+  const fmtDuration = (sec) => `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, "0")}`;
+
+  // "ZED (75%, custom)": assisted speed and changed game settings are marked.
+  function nameWithTags(r){
+    const tags = [r.assist && `${Math.round(r.assist * 100)}%`, r.custom && "custom"].filter(Boolean);
+    return tags.length ? `${r.name} (${tags.join(", ")})` : r.name;
+  }
+
+  function renderBoards(boardId = boardShown){
+    const board = leaderboards.boards.find(b => b.id === boardId) || leaderboards.boards[0];
+    boardTabs.innerHTML = "";
+    boardHost.innerHTML = "";
+    if (!board){
+      boardHost.append(el("div","lbEmpty",{ text: "No games with leaderboards are installed." }));
+      return;
+    }
+    boardShown = board.id;
+
+    for (const b of leaderboards.boards){
+      const tab = el("button", `chip${b.id === board.id ? "" : " chip--ghost"}`, { type:"button", text: b.title });
+      tab.setAttribute("aria-pressed", String(b.id === board.id));
+      tab.addEventListener("click", () => openBoards(b.id));
+      boardTabs.appendChild(tab);
+    }
+
+    const rows = leaderboards.get(board.id);
+    if (!rows.length){
+      boardHost.append(el("div","lbEmpty",{ text: "No scores yet. Go set one." }));
+    } else {
+      const table = el("table","lbTable");
+      const head = el("tr");
+      ["#", "Name", "Score", ...board.stats.map(([, label]) => label), "Time", "Date"]
+        .forEach(h => head.appendChild(el("th", "", { text: h })));
+      table.appendChild(head);
+
+      rows.forEach((r, i) => {
+        const tr = el("tr");
+        const stats = r.stats || {};
+        [
+          String(i + 1),
+          nameWithTags(r),
+          r.score.toLocaleString(),
+          ...board.stats.map(([k]) => stats[k] != null ? stats[k].toLocaleString() : "—"),
+          r.duration != null ? fmtDuration(r.duration) : "—",
+          r.date ? new Date(r.date).toLocaleDateString() : "—"
+        ].forEach(v => tr.appendChild(el("td", "", { text: v })));
+        table.appendChild(tr);
+      });
+      boardHost.appendChild(table);
+    }
+
+    const clearBtn = el("button","chip chip--ghost",{ type:"button", text:`Clear ${board.title}` });
+    clearBtn.disabled = !rows.length;
+    clearBtn.addEventListener("click", () => {
+      if (!confirm(`Clear the ${board.title} leaderboard? This cannot be undone.`)) return;
+      leaderboards.clear(board.id);
+      renderBoards(board.id);
+      refreshMenuBadges();
+    });
+    boardHost.appendChild(el("div","row")).appendChild(clearBtn);
+  }
+
+  // ---------- Shared UI builders ----------
+  function el(tag, className, attrs = {}){
+    const n = document.createElement(tag);
+    if (className) n.className = className;
+    for (const [k,v] of Object.entries(attrs)){
+      if (k === "text") n.textContent = v;
+      else if (k === "html") n.innerHTML = v;
+      else n.setAttribute(k, v);
+    }
+    return n;
+  }
+
+  function makeHud(leftPills, rightPills){
+    const hud = el("div", "hud");
+    const left = el("div", "hud__left");
+    const right = el("div", "hud__right");
+
+    leftPills.forEach(p => left.appendChild(p));
+    rightPills.forEach(p => right.appendChild(p));
+
+    hud.append(left, right);
+    return hud;
+  }
+
+  function pill(text, cls=""){
+    return el("div", `pill ${cls}`.trim(), { text });
+  }
+
+  // Big tappable pads (GLITCH REACT, MEMORY MATRIX): one button per key label
+  // with the key on top and a hint line under it. `grid` lays them out three
+  // wide instead of in one row.
+  function makePads(keys, onPress, { grid = false } = {}){
+    const wrap = el("div", grid ? "reactPads reactPads--grid" : "reactPads");
+    const pads = keys.map((key, i) => {
+      const p = el("button","pad",{ type:"button", "aria-label": `Pad ${i + 1} (${key})` });
+      p.append(
+        el("div","pad__key",{ text: key, "aria-hidden": "true" }),
+        el("div","pad__hint",{ text: "tap" })
+      );
+      p.addEventListener("click", () => onPress(i));
+      wrap.appendChild(p);
+      return p;
+    });
+    return { wrap, pads };
+  }
+
+  // Arcade-style initials entry shown inside a game. Resolves with the
+  // three-letter name, or null if the player skips it.
+  function promptInitials(host, { rank, score }){
+    return new Promise(resolve => {
+      const box = el("form","note initials");
+      box.append(
+        el("div","note__title",{ text: `NEW HIGH SCORE • #${rank + 1} • ${score.toLocaleString()}` })
+      );
+      const input = el("input","initials__input",{
+        type:"text", maxlength:"3", autocomplete:"off", spellcheck:"false",
+        "aria-label":"Your initials", placeholder:"AAA"
+      });
+      const save = el("button","buyBtn",{ type:"submit", text:"SAVE" });
+      const skip = el("button","buyBtn",{ type:"button", text:"SKIP" });
+      const row = el("div","row");
+      row.append(input, save, skip);
+      box.append(row);
+
+      input.addEventListener("input", () => {
+        input.value = input.value.toUpperCase().replace(/[^A-Z0-9]/g, "");
+      });
+      const done = (name) => { box.remove(); resolve(name); };
+      box.addEventListener("submit", (e) => { e.preventDefault(); done(cleanInitials(input.value)); });
+      skip.addEventListener("click", () => done(null));
+
+      host.prepend(box);
+      input.focus();
+    });
+  }
+
+  // Save-code box shown under the Save Data buttons. With `code` it shows the
+  // code selected for copying; without, it takes a pasted one. Resolves with
+  // the pasted text, or null when closed.
+  function promptCode(host, { title, code = "" }){
+    host.querySelector(".codeBox")?.remove();
+    return new Promise(resolve => {
+      const box = el("form","note codeBox");
+      box.append(el("div","note__title",{ text: title }));
+      const area = el("textarea","codeBox__input",{
+        rows:"4", autocomplete:"off", spellcheck:"false", "aria-label": title
+      });
+      area.value = code;
+      area.readOnly = !!code;
+      const row = el("div","row");
+      if (!code) row.append(el("button","buyBtn",{ type:"submit", text:"LOAD" }));
+      const close = el("button","buyBtn",{ type:"button", text: code ? "DONE" : "CANCEL" });
+      row.append(close);
+      box.append(area, row);
+
+      const done = (text) => { box.remove(); resolve(text); };
+      box.addEventListener("submit", (e) => { e.preventDefault(); done(area.value.trim() || null); });
+      close.addEventListener("click", () => done(null));
+
+      host.append(box);
+      area.focus();
+      if (code) area.select();
+    });
+  }
+
+  function downloadJson(filename, data){
+    const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = el("a", "", { href: url, download: filename });
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Resolves with the picked file's text, or null if nothing was chosen.
+  function pickFile(accept){
+    return new Promise(resolve => {
+      const input = el("input", "", { type: "file", accept });
+      input.addEventListener("change", () => {
+        const file = input.files && input.files[0];
+        if (!file) return resolve(null);
+        file.text().then(resolve, () => resolve(null));
+      });
+      input.click();
+    });
+  }
+
+  // ---------- Canvas charts ----------
+  // Small pixel-style charts for stats panels, drawn at the canvas's own
+  // resolution. Values are plain numbers; `fmt` turns one into a label.
+  function clearChart(canvas){
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#05060b";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = "9px monospace";
+    return ctx;
+  }
+
+  // bars: [{ label, value, color?, note? }]; `note` replaces the value label.
+  function barChart(canvas, bars, { max, fmt = String } = {}){
+    const ctx = clearChart(canvas);
+    const W = canvas.width;
+    const H = canvas.height;
+    const base = H - 16;
+    const top = max || Math.max(1, ...bars.map(b => b.value));
+    const slot = (W - 12) / Math.max(1, bars.length);
+    const bw = Math.max(2, Math.floor(slot * 0.7));
+
+    ctx.fillStyle = "rgba(232,240,255,0.15)";
+    ctx.fillRect(6, base, W - 12, 1);
+    ctx.textAlign = "center";
+    bars.forEach((b, i) => {
+      const x = Math.round(6 + slot * i + (slot - bw) / 2);
+      const h = Math.round((Math.min(b.value, top) / top) * (base - 16));
+      ctx.fillStyle = b.color || "rgba(124,247,255,0.85)";
+      ctx.fillRect(x, base - h, bw, h);
+      ctx.fillStyle = "rgba(232,240,255,0.75)";
+      ctx.fillText(b.label, x + bw / 2, H - 4);
+      const note = b.note ?? (b.value ? fmt(b.value) : "");
+      if (note) ctx.fillText(note, x + bw / 2, base - h - 4);
+    });
+    ctx.textAlign = "start";
+  }
+
+  function lineChart(canvas, values, { fmt = String, empty = "Not enough data yet" } = {}){
+    const ctx = clearChart(canvas);
+    const W = canvas.width;
+    const H = canvas.height;
+    if (values.length < 2){
+      ctx.fillStyle = "rgba(232,240,255,0.55)";
+      ctx.textAlign = "center";
+      ctx.fillText(empty, W / 2, H / 2);
+      ctx.textAlign = "start";
+      return;
+    }
+    const lo = Math.min(...values);
+    const hi = Math.max(...values);
+    const span = hi - lo || 1;
+    const left = 44;
+    const pt = (v, i) => [
+      left + (i / (values.length - 1)) * (W - left - 10),
+      10 + (1 - (v - lo) / span) * (H - 24)
+    ];
+
+    ctx.fillStyle = "rgba(232,240,255,0.55)";
+    ctx.fillText(fmt(hi), 4, 14);
+    ctx.fillText(fmt(lo), 4, H - 12);
+
+    ctx.strokeStyle = "rgba(167,139,250,0.85)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    values.forEach((v, i) => {
+      const [x, y] = pt(v, i);
+      if (i) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = "rgba(124,247,255,0.95)";
+    values.forEach((v, i) => {
+      const [x, y] = pt(v, i);
+      ctx.fillRect(Math.round(x) - 2, Math.round(y) - 2, 4, 4);
+    });
+  }
+
+  // ---------- Pixel canvas ----------
+  // Drawing pieces shared by the canvas games, so they keep one look.
+
+  // Near-black field with a faint cyan-to-violet wash from the top.
+  function paintBackdrop(ctx, W, H){
+    ctx.clearRect(0,0,W,H);
+    ctx.fillStyle = "#05060b";
+    ctx.fillRect(0,0,W,H);
+
+    const g = ctx.createLinearGradient(0,0,0,H);
+    g.addColorStop(0, "rgba(124,247,255,0.10)");
+    g.addColorStop(0.5, "rgba(167,139,250,0.08)");
+    g.addColorStop(1, "rgba(0,0,0,0)");
+    ctx.fillStyle = g;
+    ctx.fillRect(0,0,W,H);
+  }
+
+  // A solid square with a lighter strip down its left side.
+  function paintPixel(ctx, x, y, size, color){
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, size, size);
+    ctx.fillStyle = "rgba(255,255,255,0.35)";
+    ctx.fillRect(x, y, Math.max(2, Math.round(size * 0.2)), size);
+  }
+
+  // Dims the field and centers a title with smaller lines under it
+  // (GAME OVER, PAUSED and the like).
+  function paintCurtain(ctx, W, H, title, lines = [], { y = H / 2 - 30, dim = 0.55, color = "rgba(232,240,255,0.95)" } = {}){
+    ctx.fillStyle = `rgba(0,0,0,${dim})`;
+    ctx.fillRect(0,0,W,H);
+    ctx.textAlign = "center";
+    ctx.fillStyle = color;
+    ctx.font = "bold 16px monospace";
+    ctx.fillText(title, W / 2, y);
+    ctx.fillStyle = "rgba(232,240,255,0.95)";
+    ctx.font = "12px monospace";
+    lines.forEach((line, i) => ctx.fillText(line, W / 2, y + 26 + i * 20));
+    ctx.textAlign = "start";
+  }
+
+  // ---------- GAME 1: BYTE RUNNER ----------
+  // Playfield painting, shared by BYTE RUNNER and its versus mode.
+  // Canvas colors per theme; entities also differ by shape for colorblind players
+  const RUNNER_PALETTES = {
+    default: {
+      player: "rgba(124,247,255,0.95)", block: "rgba(251,113,133,0.95)", mover: "rgba(167,139,250,0.95)",
+      gate: "rgba(251,191,36,0.90)", orb: "rgba(251,191,36,0.95)", pickup: "rgba(52,211,153,0.95)"
+    },
+    contrast: {
+      player: "#56b4e9", block: "#d55e00", mover: "#cc79a7",
+      gate: "#f0e442", orb: "#e69f00", pickup: "#009e73"
+    }
+  };
+
+  // Paints one run at the canvas origin: background, lanes, entities and the
+  // player. `alpha` is the engine's progress towards the next step; the world
+  // is drawn that far along so motion stays smooth between steps.
+  function paintRunnerField(ctx, run, alpha = 0){
+    const { W, H, STEP, PLAYER_Y, HALF_W, LANES: lanes, laneX, worldScale } = window.PixelSim.runner;
+    const pal = RUNNER_PALETTES[a11y.theme] || RUNNER_PALETTES.default;
+    const lead = run.alive ? alpha * run.speed * STEP * worldScale(run) : 0;
+
+    paintBackdrop(ctx, W, H);
+
+    // lanes
+    ctx.globalAlpha = 0.7;
+    for (let i=0;i<lanes;i++){
+      const x = laneX(i);
+      ctx.fillStyle = "rgba(232,240,255,0.10)";
+      for (let y=0; y<H; y+=24){
+        ctx.fillRect(x-1, y + ((Math.floor((run.distance + lead)/18)+i)%2)*10, 2, 10);
+      }
+    }
+    ctx.globalAlpha = 1;
+
+    // obstacles + pickups
+    for (const o of run.obstacles) drawEntity(o);
+
+    // player
+    const px = laneX(run.lane);
+    const py = PLAYER_Y;
+
+    paintPixel(ctx, px-14, py, 28, pal.player);
+
+    if (run.shield){
+      ctx.strokeStyle = pal.pickup;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(px-19, py-5, 38, 38);
+    }
+
+    function drawEntity(o){
+      const x = laneX(o.lane);
+      const y = o.y + lead;
+      const hw = HALF_W[o.type];
+
+      switch (o.type){
+        case "block":
+        case "mover":
+          ctx.fillStyle = o.type === "block" ? pal.block : pal.mover;
+          ctx.fillRect(x-hw, y, hw*2, o.h);
+          ctx.fillStyle = "rgba(255,255,255,0.30)";
+          ctx.fillRect(x-hw, y, 6, o.h);
+          if (o.type === "mover"){
+            // chevron pointing where it shifts
+            ctx.fillStyle = "rgba(5,6,11,0.85)";
+            ctx.fillRect(x - o.dir*4 - 2, y + 4, 4, 4);
+            ctx.fillRect(x - 2, y + 10, 4, 4);
+            ctx.fillRect(x - o.dir*4 - 2, y + 16, 4, 4);
+          }
+          break;
+        case "gate":
+          if (o.open && o.shown){
+            ctx.strokeStyle = pal.gate;
+            ctx.globalAlpha = 0.5;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x-hw+0.5, y+0.5, hw*2-1, o.h-1);
+            ctx.globalAlpha = 1;
+          } else {
+            // closed segments and hidden gaps look the same until reveal
+            const flicker = !o.shown && run.tick % 16 >= 12 && !a11y.reducedMotion();
+            ctx.fillStyle = pal.gate;
+            ctx.globalAlpha = flicker ? 0.6 : 1;
+            ctx.fillRect(x-hw, y, hw*2, o.h);
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = "rgba(5,6,11,0.45)";
+            for (let i = -hw; i < hw; i += 8) ctx.fillRect(x+i, y, 4, o.h);
+          }
+          break;
+        case "orb":
+          ctx.fillStyle = run.magnetT > 0 ? pal.player : pal.orb;
+          ctx.fillRect(x-hw, y+2, hw*2, o.h-4);
+          ctx.fillRect(x-hw+2, y, hw*2-4, o.h);
+          break;
+        default: {
+          ctx.fillStyle = pal.pickup;
+          ctx.fillRect(x-hw, y, hw*2, o.h);
+          ctx.fillStyle = "#05060b";
+          ctx.font = "bold 12px monospace";
+          ctx.textAlign = "center";
+          ctx.fillText({ shield: "S", slow: "T", magnet: "M" }[o.type], x, y + 14);
+          ctx.textAlign = "start";
+        }
+      }
+    }
+  }
+
+  // Active power-ups as HUD labels.
+  function runnerPowers(run){
+    return [
+      run.shield && "SHIELD",
+      run.slowT > 0 && `SLOW ${run.slowT.toFixed(1)}`,
+      run.magnetT > 0 && `MAGNET ${run.magnetT.toFixed(1)}`
+    ].filter(Boolean);
+  }
+
+  function createByteRunner(){
+    const REPLAY_KEY = "px_runner_replay";
+    const REPLAY_VERSION = 3;  // bump whenever the simulation changes
+    let best = leaderboards.best("runner");
+
+    let root = null;
+    let canvas, ctx;
+
+    // game state
+    let running = false;
+    let paused = false;
+
+    // the simulation lives in sim/runner.js; `run` is the current one
+    const { W, H, STEP, PLAYER_Y, laneX } = window.PixelSim.runner;
+    let run = null;
+
+    // fixed-timestep simulation (engine.run): same seed + same inputs -> same run
+    let seed = 0;
+
+    // replays: inputs are [tick, dir] pairs recorded from moveLane
+    let inputs = [];
+    let replay = null;         // { seed, ticks, score, inputs, cursor } while watching
+    let lastRun = store.get(REPLAY_KEY, null);
+    if (lastRun && lastRun.v !== REPLAY_VERSION) lastRun = null;
+    let replayMsg = "";
+    let watchBtn = null;
+
+    // ghost: the saved best replay re-simulated next to the player on the
+    // same seed, { run, ticks, inputs, cursor } while racing it. Racing is
+    // chosen with the Race best button and lasts through restarts.
+    let bestRun = lastRun;
+    let ghost = null;
+    let racing = false;
+    let raceBtn = null;
+
+    // fixed seed (daily challenge) reused by every attempt
+    let dailyDay = null;
+    let fixedSeed = null;
+
+    // player options (see settings in the module below); speeds are fixed per run
+    const SETTINGS = [
+      { id: "startSpeed", label: "Start speed", type: "range", min: 80, max: 160, step: 10, default: 110 },
+      { id: "speedGain", label: "Speed ramp", type: "range", min: 4, max: 20, step: 2, default: 10,
+        hint: "Speeds apply from the next run; runs with changed speeds are marked on the leaderboard." },
+      { id: "overlay", label: "Score overlay", type: "toggle", default: true }
+    ];
+    const optionDef = (id) => SETTINGS.find(d => d.id === id);
+    let prefs = { startSpeed: 110, speedGain: 10, overlay: true };
+    let startSpeed = 110;      // prefs.startSpeed when this run began
+    let tuned = false;         // this run uses non-default speeds
+
+    let milestone = 0;         // last score milestone announced
+
+    // input
+    let pointerDown = null;
+
+    function reset(runSeed, opts = {}){
+      running = true;
+      paused = false;
+
+      inputs = [];
+      replay = null;
+      replayMsg = "";
+      milestone = 0;
+
+      startSpeed = opts.startSpeed ?? prefs.startSpeed;
+      const speedGain = opts.speedGain ?? prefs.speedGain;
+      const assist = opts.assist ?? a11y.speed;
+      tuned = startSpeed !== optionDef("startSpeed").default || speedGain !== optionDef("speedGain").default;
+
+      seed = runSeed ?? fixedSeed ?? randomSeed();
+      run = window.PixelSim.runner.createRun({ seed, startSpeed, speedGain, assist });
+      ghost = opts.ghost || null;
+      if (ghost) ghost.run = window.PixelSim.runner.createRun({ seed, startSpeed, speedGain, assist });
+
+      draw(0); // immediate render
+    }
+
+    function togglePause(){
+      if (!running) return true;
+      paused = !paused;
+      return paused;
+    }
+
+    function stop(){
+      running = false;
+      paused = false;
+      engine.stop();
+    }
+
+    // Sound, announcements and achievements for what happened in one step.
+    function onEvents(events){
+      for (const e of events){
+        switch (e.type){
+          case "orb":
+            sound.play("orb");
+            break;
+          case "power":
+            sound.play("power");
+            if (!replay) announce(`${e.kind === "slow" ? "Slow motion" : e.kind === "shield" ? "Shield" : "Magnet"} on.`);
+            break;
+          case "shieldUsed":
+            sound.play("shield");
+            if (!replay) announce("Shield used.");
+            break;
+          case "crash":
+            sound.play("crash");
+            if (!replay) shake(canvas?.parentElement);
+            break;
+          case "nearMiss":
+            if (!replay) achievements.emit("runner", "nearMiss");
+            break;
+        }
+      }
+    }
+
+    // `alpha` is the engine's progress towards the next step: the world is
+    // drawn that far along so motion stays smooth between steps.
+    function draw(alpha = 0){
+      if (!ctx || !run) return;
+      paintRunnerField(ctx, run, running && !paused ? alpha : 0);
+      if (ghost) drawGhost();
+
+      // HUD overlay inside canvas (pixel font look)
+      ctx.fillStyle = "rgba(232,240,255,0.85)";
+      ctx.font = "10px monospace";
+      if (prefs.overlay){
+        ctx.fillText(`SCORE ${Math.floor(run.score)}`, 12, 18);
+        ctx.fillText(`BEST  ${best}`, 12, 32);
+        if (dailyDay && !replay) ctx.fillText(`DAILY ${dailyDay}`, 12, 46);
+        if (run.assist < 1) ctx.fillText(`SPEED ${Math.round(run.assist * 100)}%`, 12, dailyDay && !replay ? 60 : 46);
+      }
+      if (replay){
+        ctx.fillStyle = "rgba(251,191,36,0.95)";
+        ctx.fillText("▶ REPLAY", W - 72, 18);
+      }
+      if (ghost){
+        const delta = ghostDelta();
+        ctx.fillStyle = delta >= 0 ? "rgba(52,211,153,0.95)" : "rgba(251,113,133,0.95)";
+        ctx.textAlign = "center";
+        ctx.fillText(`${delta >= 0 ? "+" : "−"}${Math.abs(delta)} VS BEST`, W / 2, 18);
+        ctx.textAlign = "start";
+      }
+      const powers = runnerPowers(run);
+      if (powers.length){
+        ctx.fillStyle = "rgba(52,211,153,0.95)";
+        ctx.textAlign = "right";
+        powers.forEach((p, i) => ctx.fillText(p, W - 12, (replay ? 32 : 18) + i * 14));
+        ctx.textAlign = "start";
+      }
+
+      // status
+      if (!run.alive){
+        const again = `Press Restart (or ${keyLabel(input.keysFor("runner", "restart")[0] || "Enter")})`;
+        paintCurtain(ctx, W, H, replay ? "REPLAY END" : "GAME OVER", [replayMsg, again].filter(Boolean), { y: 210 });
+      } else if (paused){
+        paintCurtain(ctx, W, H, "PAUSED", [], { y: 230, dim: 0.40 });
+      }
+    }
+
+    // The best run as a see-through player, placed by how far ahead or
+    // behind it is; it leaves the field once it has crashed.
+    function drawGhost(){
+      const g = ghost.run;
+      if (!g.alive) return;
+      const pal = RUNNER_PALETTES[a11y.theme] || RUNNER_PALETTES.default;
+      const x = laneX(g.lane);
+      const y = PLAYER_Y - (g.distance - run.distance);
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = pal.player;
+      ctx.fillRect(x-14, y, 28, 28);
+      ctx.globalAlpha = 0.8;
+      ctx.strokeStyle = pal.player;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x-13.5, y+0.5, 27, 27);
+      ctx.globalAlpha = 1;
+    }
+
+    // Score now minus the best run's score at the same moment (its final
+    // score once it has ended).
+    const ghostDelta = () => Math.floor(run.score) - Math.floor(ghost.run.score);
+
+    function update(){
+      if (running && !paused && run.alive) step();
+    }
+
+    // Recorded lane changes of a replay that are due at `tick`.
+    function dueMoves(r, tick){
+      const moves = [];
+      while (r.cursor < r.inputs.length && r.inputs[r.cursor][0] <= tick) moves.push(r.inputs[r.cursor++][1]);
+      return moves;
+    }
+
+    function stepGhost(){
+      const g = ghost.run;
+      if (!g.alive) return;
+      for (const dir of dueMoves(ghost, g.tick)) g.move(dir);
+      g.step();
+      if (g.alive && g.tick >= ghost.ticks) g.alive = false;
+      if (!g.alive && run.alive) announce("Your best run ended here.");
+    }
+
+    function step(){
+      if (replay){
+        for (const dir of dueMoves(replay, run.tick)) if (run.move(dir)) sound.play("move");
+      }
+      if (ghost) stepGhost();
+
+      onEvents(run.step());
+      if (!replay && run.tick % 60 === 0){
+        achievements.emit("runner", "distance", Math.floor(run.distance));
+        achievements.emit("runner", "score", Math.floor(run.score));
+        const m = Math.floor(run.score / 500);
+        if (m > milestone){
+          milestone = m;
+          announce(`Score ${m * 500}.`);
+        }
+      }
+
+      if (replay && run.alive && run.tick >= replay.ticks) run.alive = false;
+      if (!run.alive) finishRun();
+    }
+
+    function finishRun(){
+      const final = Math.floor(run.score);
+      if (replay){
+        replayMsg = final === replay.score ? `VERIFIED: ${final}` : `MISMATCH: ${final} vs ${replay.score}`;
+        return;
+      }
+
+      announce(`Game over. Score ${final}.${final > best ? " New best!" : ""}`);
+      lastRun = encodeReplay(final);
+      achievements.emit("runner", "distance", Math.floor(run.distance));
+      achievements.emit("runner", "score", final);
+      if (dailyDay) daily.record(dailyDay, "runner", final);
+      if (final > best){
+        best = final;
+        bestRun = lastRun;
+        store.set(REPLAY_KEY, lastRun);
+        if (raceBtn) raceBtn.disabled = !!dailyDay;
+      }
+      if (watchBtn) watchBtn.disabled = false;
+
+      if (root && leaderboards.qualifies("runner", final)){
+        const entry = {
+          score: final,
+          date: new Date().toISOString(),
+          duration: Math.round(run.tick * STEP),
+          stats: { distance: Math.floor(run.distance), peakSpeed: Math.floor(run.speed) },
+          ...(run.assist < 1 ? { assist: run.assist } : {}),
+          ...(tuned ? { custom: true } : {})
+        };
+        promptInitials(root, { rank: leaderboards.rankOf("runner", final), score: final })
+          .then(name => {
+            if (!name) return;
+            leaderboards.add("runner", { name, ...entry });
+            refreshMenuBadges();
+          });
+      }
+    }
+
+    function moveLane(dir){
+      if (!run?.alive || paused || replay) return;
+      if (!run.move(dir)) return;
+      inputs.push([run.tick, dir]);
+      sound.play("move");
+    }
+
+    // Compact replay: each input is one signed integer, |n| - 1 = ticks since
+    // the previous input and the sign is the lane direction. `a` is the assist
+    // speed and `s`/`g` the start speed and ramp, each only when not default.
+    function encodeReplay(final){
+      let prev = 0;
+      const i = inputs.map(([t, dir]) => {
+        const n = t - prev + 1;
+        prev = t;
+        return dir < 0 ? -n : n;
+      });
+      return {
+        game: "runner", v: REPLAY_VERSION, seed, ticks: run.tick, score: final, date: new Date().toISOString(), i,
+        ...(run.assist < 1 ? { a: run.assist } : {}),
+        ...(tuned ? { s: startSpeed, g: run.speedGain } : {})
+      };
+    }
+
+    function decodeReplay(data){
+      if (!data || data.game !== "runner" || data.v !== REPLAY_VERSION) return null;
+      if (!Number.isInteger(data.seed) || !Number.isInteger(data.ticks) || !Array.isArray(data.i)) return null;
+      let t = 0;
+      const list = [];
+      for (const n of data.i){
+        if (!Number.isInteger(n) || n === 0) return null;
+        t += Math.abs(n) - 1;
+        list.push([t, n < 0 ? -1 : 1]);
+      }
+      const a = A11Y_SPEEDS.includes(data.a) ? data.a : 1;
+      return {
+        seed: data.seed >>> 0, ticks: data.ticks, score: data.score | 0, assist: a, inputs: list, cursor: 0,
+        speed: settingValue(optionDef("startSpeed"), data.s),
+        gain: settingValue(optionDef("speedGain"), data.g)
+      };
+    }
+
+    // A run on the best run's course and speeds with its ghost alongside;
+    // a ghost only makes sense where it was recorded.
+    function raceBest(){
+      const saved = decodeReplay(bestRun);
+      if (!saved) return false;
+      reset(saved.seed, { startSpeed: saved.speed, speedGain: saved.gain, assist: saved.assist, ghost: saved });
+      return true;
+    }
+
+    function restartRun(){
+      if (!(racing && raceBest())) reset();
+    }
+
+    function setRacing(on){
+      racing = on && !!bestRun && !dailyDay;
+      if (raceBtn){
+        raceBtn.textContent = racing ? "Stop racing" : "Race best";
+        raceBtn.setAttribute("aria-pressed", String(racing));
+        raceBtn.disabled = !bestRun || !!dailyDay;
+      }
+      restartRun();
+      setPauseUi(false);
+    }
+
+    function watchReplay(data){
+      const r = decodeReplay(data);
+      if (!r) return false;
+      reset(r.seed, { startSpeed: r.speed, speedGain: r.gain, assist: r.assist });
+      replay = r;
+      return true;
+    }
+
+    // Returns true when the action was used (see input.attach).
+    function onAction(action){
+      switch (action){
+        case "left": moveLane(-1); return true;
+        case "right": moveLane(+1); return true;
+        case "pause":
+          if (!run.alive) return false;
+          setPauseUi(togglePause());
+          return true;
+        case "restart":
+          if (run.alive && !replay) return false;
+          restartRun();
+          setPauseUi(false);
+          return true;
+      }
+      return false;
+    }
+
+    function onPointerDown(ev){
+      const p = pointerPoint(ev);
+      pointerDown = { x: p.x, y: p.y, t: now() };
+    }
+    function onPointerUp(ev){
+      if (!pointerDown) return;
+      const p = pointerPoint(ev);
+      const dx = p.x - pointerDown.x;
+      const dy = p.y - pointerDown.y;
       const dt = now() - pointerDown.t;
 
-      pointerDown = null;
+      pointerDown = null;
+
+      // swipe left/right
+      if (Math.abs(dx) > 30 && Math.abs(dx) > Math.abs(dy) && dt < 400){
+        moveLane(dx < 0 ? -1 : +1);
+      }
+    }
+    function pointerPoint(ev){
+      const e = ev.touches ? ev.touches[0] : ev;
+      const rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    // UI mount
+    function mount(host, opts = {}){
+      root = el("div","stack");
+      best = leaderboards.best("runner");
+      dailyDay = opts.daily || null;
+      fixedSeed = opts.seed != null ? opts.seed >>> 0 : null;
+
+      const hud = makeHud(
+        [pill("BYTE RUNNER", "pill--good"), pill(dailyDay ? `DAILY ${dailyDay}` : `BEST ${best}`)],
+        [pill(input.label("runner", ["left", "right"]), "pill--warn"), pill("Swipe", "pill--warn")]
+      );
+
+      const wrap = el("div","canvasWrap");
+      canvas = document.createElement("canvas");
+      canvas.width = W;
+      canvas.height = H;
+      canvas.setAttribute("role", "img");
+      canvas.setAttribute("aria-label", "BYTE RUNNER playfield. Score milestones and game over are announced.");
+      ctx = canvas.getContext("2d", { alpha: false });
+
+      wrap.appendChild(canvas);
+
+      const touch = el("div","touchBar");
+      const leftBtn = el("button","touchBtn",{ type:"button", text:"LEFT" });
+      const rightBtn = el("button","touchBtn",{ type:"button", text:"RIGHT" });
+      leftBtn.addEventListener("click", () => moveLane(-1));
+      rightBtn.addEventListener("click", () => moveLane(+1));
+      touch.append(leftBtn, rightBtn);
+
+      const replayBar = el("div","row");
+      watchBtn = el("button","chip chip--ghost",{ type:"button", text:"Watch replay" });
+      const exportBtn = el("button","chip chip--ghost",{ type:"button", text:"Export replay" });
+      const importBtn = el("button","chip chip--ghost",{ type:"button", text:"Import replay" });
+      watchBtn.disabled = !lastRun;
+      watchBtn.addEventListener("click", () => { if (lastRun) watchReplay(lastRun); });
+      exportBtn.addEventListener("click", () => {
+        if (lastRun) downloadJson(`byte-runner-${lastRun.score}.json`, lastRun);
+      });
+      importBtn.addEventListener("click", () => {
+        pickFile("application/json,.json").then(text => {
+          if (!text) return;
+          let data = null;
+          try { data = JSON.parse(text); } catch {}
+          if (watchReplay(data)) lastRun = data;
+          else showToast("IMPORT FAILED", "That file is not a BYTE RUNNER replay.");
+        });
+      });
+      raceBtn = el("button","chip chip--ghost",{ type:"button", text:"Race best" });
+      raceBtn.addEventListener("click", () => setRacing(!racing));
+      replayBar.append(raceBtn, watchBtn, exportBtn, importBtn);
+
+      const tip = el("div","note", { html: `
+        <div class="note__title">Loop Design</div>
+        <div style="color: var(--muted); font-size:12px; line-height:1.7;">
+          The game is intentionally minimal: quick deaths, instant restarts, and steadily rising speed.
+          Your best score is saved locally.
+        </div>
+      `});
+
+      root.append(hud, wrap, touch, replayBar, tip);
+      host.appendChild(root);
+
+      // listeners
+      input.attach("runner", onAction);
+      canvas.addEventListener("pointerdown", onPointerDown, { passive:true });
+      canvas.addEventListener("pointerup", onPointerUp, { passive:true });
+      canvas.addEventListener("touchstart", onPointerDown, { passive:true });
+      canvas.addEventListener("touchend", onPointerUp, { passive:true });
+
+      setRacing(false);
+      engine.run({ step: STEP, update, render: draw });
+      sound.startMusic("runner");
+    }
+
+    function unmount(){
+      stop();
+      sound.stopMusic();
+      input.detach();
+      if (canvas){
+        canvas.removeEventListener("pointerdown", onPointerDown);
+        canvas.removeEventListener("pointerup", onPointerUp);
+        canvas.removeEventListener("touchstart", onPointerDown);
+        canvas.removeEventListener("touchend", onPointerUp);
+      }
+      root = null; canvas = null; ctx = null; watchBtn = null; raceBtn = null;
+    }
+
+    return {
+      id: "runner",
+      title: "BYTE RUNNER",
+      subtitle: "Endless lane dodge • speed ramps • instant restarts",
+      icon: "▦",
+      tags: ["Canvas"],
+      desc: "Endless lane dodge with shifting blocks, late gates and power-ups.",
+      controls: () => `${input.label("runner", ["left", "right"])} • Mobile: swipe or use on-screen buttons`,
+      actions: [
+        { id: "left", label: "Move left", keys: ["ArrowLeft", "a"], pad: ["left"] },
+        { id: "right", label: "Move right", keys: ["ArrowRight", "d"], pad: ["right"] },
+        { id: "pause", label: "Pause", keys: [" "], pad: ["start"] },
+        { id: "restart", label: "Restart after game over", keys: ["Enter"], pad: ["start", "a"] }
+      ],
+      leaderboard: { stats: [["distance", "Dist"], ["peakSpeed", "Peak spd"]] },
+      settings: SETTINGS,
+      applySettings(values){
+        prefs = values;
+        draw(0);
+      },
+      isPaused: () => paused,
+      autoPause: () => running && run.alive,
+      achievements: [
+        { id: "runner-boot", title: "Boot Sequence", desc: "Run 2,000 px in one go", event: "distance", goal: 2000 },
+        { id: "runner-far", title: "Long Haul", desc: "Run 20,000 px in one go", event: "distance", goal: 20000 },
+        { id: "runner-marathon", title: "Data Marathon", desc: "Run 60,000 px in one go", event: "distance", goal: 60000 },
+        { id: "runner-score", title: "Four Digits", desc: "Score 1,000 in one run", event: "score", goal: 1000 },
+        { id: "runner-close", title: "Close Call", desc: "Dodge out of a lane just before a block hits it", event: "nearMiss", goal: 1, mode: "count" },
+        { id: "runner-daredevil", title: "Daredevil", desc: "25 near-misses in total", event: "nearMiss", goal: 25, mode: "count" }
+      ],
+      getBadge: () => `Best: ${leaderboards.best("runner")}`,
+      mount, unmount,
+      restart: restartRun,
+      togglePause
+    };
+  }
+
+  // ---------- GAME 1b: BYTE RUNNER VERSUS ----------
+  // Two runners side by side on one canvas, each with its own simulation on
+  // the same seed, so both face the same obstacles. A round is last runner
+  // standing; a match is a single round or best of three.
+  function createRunnerVersus(){
+    const MODE_KEY = "px_runnervs_mode";
+    const TALLY_KEY = "px_runnervs_tally";   // { p1, p2 } matches won
+    const { W, H, STEP, createRun } = window.PixelSim.runner;
+    const GAP = 12;                          // px between the two fields
+    const MODES = {
+      single: { title: "Single round", wins: 1 },
+      bo3: { title: "Best of three", wins: 2 }
+    };
+    const PLAYERS = [
+      { name: "P1", actions: ["p1left", "p1right"] },
+      { name: "P2", actions: ["p2left", "p2right"] }
+    ];
+
+    let mode = "bo3";
+    let root = null;
+    let canvas, ctx, statusEl, resultEl;
+    let modeBtns = [];
+    let fixedSeed = null;
+
+    // match state
+    let phase = "ready";       // "ready" (before a round) | "play" | "match" (result shown)
+    let paused = false;
+    let runs = [];             // one simulation per player
+    let wins = [0, 0];
+    let rounds = [];           // finished rounds: { winner: 0 | 1 | -1 (draw), dist: [p1, p2] }
+
+    const modeWins = () => MODES[mode].wins;
+
+    function newMatch(){
+      wins = [0, 0];
+      rounds = [];
+      if (resultEl) resultEl.hidden = true;
+      newRound();
+    }
+
+    // Lines both runners up on a fresh seed and waits for Start.
+    function newRound(){
+      const seed = fixedSeed != null ? (fixedSeed + rounds.length) >>> 0 : randomSeed();
+      runs = PLAYERS.map(() => createRun({ seed, assist: a11y.speed }));
+      phase = "ready";
+      paused = false;
+      render();
+    }
+
+    function startRound(){
+      phase = "play";
+      announce(`Round ${rounds.length + 1}. Go!`);
+      sound.play("streak");
+      render();
+    }
+
+    function update(){
+      if (phase !== "play" || paused) return;
+      runs.forEach((run, i) => {
+        for (const e of run.step()) onEvent(e, i);
+      });
+      const [a, b] = runs.map(r => r.alive);
+      if (a && b) return;
+      endRound(a ? 0 : b ? 1 : -1);
+    }
+
+    function onEvent(e, player){
+      switch (e.type){
+        case "orb": sound.play("orb"); break;
+        case "power": sound.play("power"); break;
+        case "shieldUsed": sound.play("shield"); break;
+        case "crash":
+          sound.play("crash");
+          shake(canvas?.parentElement);
+          announce(`${PLAYERS[player].name} crashed.`);
+          break;
+      }
+    }
+
+    // Both crashing on the same tick is a draw; the round is run again.
+    function endRound(winner){
+      rounds.push({ winner, dist: runs.map(r => Math.floor(r.distance)) });
+      if (winner >= 0) wins[winner]++;
+
+      if (winner >= 0 && wins[winner] >= modeWins()){
+        endMatch(winner);
+        return;
+      }
+      announce(winner < 0 ? "Draw. The round is replayed." : `${PLAYERS[winner].name} takes round ${rounds.length}. ${wins[0]} to ${wins[1]}.`);
+      newRound();
+    }
+
+    function endMatch(winner){
+      phase = "match";
+      const tally = store.get(TALLY_KEY, {});
+      const key = winner === 0 ? "p1" : "p2";
+      tally[key] = (tally[key] || 0) + 1;
+      store.set(TALLY_KEY, tally);
+      sound.play("streak");
+      announce(`${PLAYERS[winner].name} wins the match ${wins[winner]} to ${wins[1 - winner]}.`);
+      renderResult(winner);
+      render();
+      refreshMenuBadges();
+    }
+
+    // Match result: winner, every round and the all-time tally.
+    function renderResult(winner){
+      if (!resultEl) return;
+      const tally = store.get(TALLY_KEY, {});
+      resultEl.innerHTML = "";
+      resultEl.hidden = false;
+      resultEl.append(
+        el("div","note__title",{ text: `${PLAYERS[winner].name} wins ${wins[winner]}–${wins[1 - winner]}` }),
+        ...rounds.map((r, i) => el("div","note__text",{ text:
+          `Round ${i + 1}: ${r.winner < 0 ? "draw" : `${PLAYERS[r.winner].name} survived`} • ` +
+          `P1 ${r.dist[0].toLocaleString()} px • P2 ${r.dist[1].toLocaleString()} px` })),
+        el("div","note__text",{ text: `Matches won on this device: P1 ${tally.p1 || 0} • P2 ${tally.p2 || 0}` })
+      );
+      const again = el("button","chip",{ type:"button", text:"Rematch" });
+      again.addEventListener("click", () => { newMatch(); setPauseUi(false); });
+      const actions = el("div","note__actions");
+      actions.append(again);
+      resultEl.append(actions);
+    }
+
+    function setMode(m){
+      if (!MODES[m] || phase === "play" || (rounds.length && phase !== "match")) return;
+      mode = m;
+      store.set(MODE_KEY, m);
+      newMatch();
+    }
+
+    function move(player, dir){
+      if (phase !== "play" || paused) return;
+      if (runs[player].move(dir)) sound.play("move");
+    }
+
+    function togglePause(){
+      if (phase !== "play") return paused;
+      paused = !paused;
+      render();
+      return paused;
+    }
+
+    // Returns true when the action was used (see input.attach).
+    function onAction(action){
+      const player = PLAYERS.findIndex(p => p.actions.includes(action));
+      if (player >= 0){
+        move(player, action.endsWith("left") ? -1 : 1);
+        return true;
+      }
+      switch (action){
+        case "pause":
+          if (phase !== "play") return false;
+          setPauseUi(togglePause());
+          return true;
+        case "start":
+          if (phase === "ready") startRound();
+          else if (phase === "match") newMatch();
+          else return false;
+          return true;
+      }
+      return false;
+    }
+
+    function render(){
+      if (!root) return;
+      statusEl.textContent = `${MODES[mode].title} • P1 ${wins[0]} – ${wins[1]} P2`;
+      modeBtns.forEach(b => {
+        const on = b.getAttribute("data-mode") === mode;
+        b.className = `chip${on ? "" : " chip--ghost"}`;
+        b.setAttribute("aria-pressed", String(on));
+        b.disabled = phase === "play" || (rounds.length > 0 && phase !== "match");
+      });
+      draw(0);
+    }
+
+    function draw(alpha = 0){
+      if (!ctx || !runs.length) return;
+      const live = phase === "play" && !paused;
+
+      runs.forEach((run, i) => {
+        ctx.save();
+        ctx.translate(i * (W + GAP), 0);
+        paintRunnerField(ctx, run, live ? alpha : 0);
+
+        ctx.fillStyle = "rgba(232,240,255,0.85)";
+        ctx.font = "10px monospace";
+        ctx.fillText(`${PLAYERS[i].name}  ${"■".repeat(wins[i])}${"□".repeat(modeWins() - wins[i])}`, 12, 18);
+        ctx.fillText(`DIST ${Math.floor(run.distance)}`, 12, 32);
+        const powers = runnerPowers(run);
+        if (powers.length){
+          ctx.fillStyle = "rgba(52,211,153,0.95)";
+          ctx.textAlign = "right";
+          powers.forEach((p, k) => ctx.fillText(p, W - 12, 18 + k * 14));
+          ctx.textAlign = "start";
+        }
+        if (!run.alive) paintCurtain(ctx, W, H, "OUT", [], { y: 200, color: "rgba(251,113,133,0.95)" });
+        ctx.restore();
+      });
+
+      ctx.fillStyle = "#1b2033";
+      ctx.fillRect(W, 0, GAP, H);
+
+      const banner = bannerText();
+      if (banner){
+        const cw = W * 2 + GAP;
+        ctx.fillStyle = "rgba(0,0,0,0.65)";
+        ctx.fillRect(0, H / 2 - 34, cw, 62);
+        ctx.fillStyle = "rgba(232,240,255,0.95)";
+        ctx.font = "bold 16px monospace";
+        ctx.textAlign = "center";
+        ctx.fillText(banner[0], cw / 2, H / 2 - 6);
+        ctx.font = "12px monospace";
+        ctx.fillText(banner[1], cw / 2, H / 2 + 16);
+        ctx.textAlign = "start";
+      }
+    }
+
+    function bannerText(){
+      const startKey = keyLabel(input.keysFor("runner-vs", "start")[0] || "Enter");
+      if (phase === "match"){
+        const w = wins[0] > wins[1] ? 0 : 1;
+        return [`${PLAYERS[w].name} WINS THE MATCH`, `Press ${startKey} for a rematch`];
+      }
+      if (phase === "ready"){
+        const last = rounds[rounds.length - 1];
+        const head = !last ? `ROUND 1 • ${MODES[mode].title.toUpperCase()}`
+          : last.winner < 0 ? `DRAW • ROUND ${rounds.length + 1}`
+          : `${PLAYERS[last.winner].name} TAKES IT • ROUND ${rounds.length + 1}`;
+        return [head, `Press ${startKey} to run`];
+      }
+      if (paused) return ["PAUSED", ""];
+      return null;
+    }
+
+    function mount(host, opts = {}){
+      root = el("div","stack");
+      fixedSeed = opts.seed != null ? opts.seed >>> 0 : null;
+      const saved = store.get(MODE_KEY, "bo3");
+      mode = MODES[saved] ? saved : "bo3";
+
+      statusEl = pill("", "pill--good");
+      const hud = makeHud(
+        [pill("BYTE RUNNER VS", "pill--good"), statusEl],
+        [pill(`P1 ${input.label("runner-vs", PLAYERS[0].actions)}`, "pill--warn"), pill(`P2 ${input.label("runner-vs", PLAYERS[1].actions)}`, "pill--warn")]
+      );
+
+      const modeRow = el("div","row");
+      modeBtns = [];
+      for (const [id, m] of Object.entries(MODES)){
+        const b = el("button","chip chip--ghost",{ type:"button", text: m.title, "data-mode": id });
+        b.addEventListener("click", () => setMode(id));
+        modeBtns.push(b);
+        modeRow.appendChild(b);
+      }
+
+      const wrap = el("div","canvasWrap");
+      canvas = document.createElement("canvas");
+      canvas.width = W * 2 + GAP;
+      canvas.height = H;
+      canvas.setAttribute("role", "img");
+      canvas.setAttribute("aria-label", "BYTE RUNNER versus: two playfields side by side. Crashes and round results are announced.");
+      ctx = canvas.getContext("2d", { alpha: false });
+      wrap.appendChild(canvas);
+
+      // one pair of buttons per player, each under their own field
+      const touch = el("div","touchBar");
+      PLAYERS.forEach((p, i) => {
+        for (const dir of [-1, 1]){
+          const b = el("button","touchBtn",{ type:"button", text: `${p.name} ${dir < 0 ? "◀" : "▶"}` });
+          b.addEventListener("click", () => move(i, dir));
+          touch.appendChild(b);
+        }
+      });
+
+      resultEl = el("div","note");
+      resultEl.hidden = true;
+
+      const tip = el("div","note",{ html: `
+        <div class="note__title">Versus</div>
+        <div style="color: var(--muted); font-size:12px; line-height:1.7;">
+          Both runners get the same obstacles. The last one standing takes the round; crash on the
+          same frame and the round is run again. With two gamepads, the first is P1.
+        </div>
+      `});
+
+      root.append(hud, modeRow, wrap, touch, resultEl, tip);
+      host.appendChild(root);
+
+      input.attach("runner-vs", onAction);
+      engine.run({ step: STEP, update, render: draw });
+      sound.startMusic("runner");
+      newMatch();
+    }
+
+    function unmount(){
+      engine.stop();
+      sound.stopMusic();
+      input.detach();
+      root = null; canvas = null; ctx = null; statusEl = null; resultEl = null;
+      modeBtns = [];
+      phase = "ready";
+      paused = false;
+    }
+
+    return {
+      id: "runner-vs",
+      title: "BYTE RUNNER VS",
+      subtitle: "Split-screen versus • same obstacles • last runner standing",
+      icon: "▥",
+      tags: ["Canvas", "2P"],
+      desc: "Two players, one keyboard: outlast your rival on the same course.",
+      controls: () => `P1 ${input.label("runner-vs", PLAYERS[0].actions)} • P2 ${input.label("runner-vs", PLAYERS[1].actions)} • Two gamepads`,
+      actions: [
+        { id: "p1left", label: "P1 left", keys: ["a"], pad: ["left"], player: 1 },
+        { id: "p1right", label: "P1 right", keys: ["d"], pad: ["right"], player: 1 },
+        { id: "p2left", label: "P2 left", keys: ["ArrowLeft"], pad: ["left"], player: 2 },
+        { id: "p2right", label: "P2 right", keys: ["ArrowRight"], pad: ["right"], player: 2 },
+        { id: "pause", label: "Pause", keys: [" "], pad: ["start"] },
+        { id: "start", label: "Start round / rematch", keys: ["Enter"], pad: ["start", "a"] }
+      ],
+      getBadge(){
+        const t = store.get(TALLY_KEY, {});
+        return t.p1 || t.p2 ? `P1 ${t.p1 || 0} – ${t.p2 || 0} P2` : "";
+      },
+      isPaused: () => paused,
+      autoPause: () => phase === "play",
+      mount, unmount,
+      restart(){
+        newMatch();
+      },
+      togglePause
+    };
+  }
+
+  // ---------- GAME 2: NEON CLICKER ----------
+  function createNeonClicker(){
+    const KEY = "px_clicker_state";
+    const SPRINT_SECONDS = 60;
+    // The economy lives in sim/clicker.js; the helpers below bind it to `state`.
+    // Amounts are big values in memory and decimal strings in the save.
+    const eco = window.PixelSim.clicker;
+    const { OFFLINE_CAP, OFFLINE_MIN, TICK, freshState, thaw, freeze } = eco;
+
+    const saved = thaw(store.get(KEY, null), Date.now());
+    let state = saved;
+
+    // daily sprint: a throwaway state, seeded crits and a countdown
+    let sprint = null;         // { day, left, started, done }
+    let rng = Math.random;
+
+    let root = null;
+    let paused = false;
+    let changed = false;       // something on screen is out of date since the last frame
+    let unsaved = false;       // bits changed since the last save; frame() saves them
+
+    // player options (see settings in the module below)
+    let prefs = { confirmReboot: true };
+
+    const upgradeDefs = [
+      { id:"core", title:"Core Boost", desc:"+1 bits per click" },
+      { id:"drip", title:"Background Drip", desc:"+1 bits per second" },
+      { id:"crit", title:"Glitch Crit", desc:"More critical clicks (bigger spikes)" }
+    ];
+
+    const prestigeDefs = [
+      { id:"mult", title:"Overclock", desc:"+25% bits from every source" },
+      { id:"auto", title:"Auto-Clicker", desc:"One free click per second (no crits)" },
+      { id:"start", title:"Warm Boot", desc:"Start every run with +1,000 bits" },
+      { id:"critcap", title:"Crit Ceiling", desc:"+5% max crit chance above 40%" }
+    ].map(p => ({ ...p, ...eco.PERKS.find(x => x.id === p.id) }));
+
+    const perkLevel = (id) => eco.perkLevel(state, id);
+    const boost = (b) => eco.boost(state, b);
+    const incomeRate = () => eco.incomeRate(state);
+    const lifetimeBits = () => eco.lifetimeBits(state);
+    const pendingCores = () => eco.pendingCores(state);
+
+    function save(){
+      if (sprint) return;
+      state.lastSeen = Date.now();
+      store.set(KEY, freeze(state));
+    }
+    function togglePause(){ paused = !paused; return paused; }
+
+    // Clicks and drip only mark the state; the next frame renders and saves it once.
+    function addBits(n){
+      eco.addBits(state, n);
+      unsaved = changed = true;
+    }
+
+    // Credits the drip for the time since lastSeen. Returns null when there
+    // is nothing to report.
+    function collectOffline(){
+      const report = eco.collectOffline(state, Date.now());
+      if (report) achievements.emit("clicker", "total", big.toNumber(state.total));
+      save();
+      refreshMenuBadges();
+      return report;
+    }
+
+    function fmtAway(sec){
+      const h = Math.floor(sec / 3600);
+      const m = Math.floor((sec % 3600) / 60);
+      if (h) return `${h}h ${String(m).padStart(2, "0")}m`;
+      return `${m}m ${String(Math.floor(sec % 60)).padStart(2, "0")}s`;
+    }
+
+    function showWelcome(report){
+      if (!root || !report) return;
+      welcomeEl?.remove();
+      const capped = report.away > report.counted;
+      welcomeEl = el("div","note welcome",{ role: "status" });
+      welcomeEl.append(
+        el("div","note__title",{ text: "Welcome back" }),
+        el("div","note__text",{ text:
+          `You were away ${fmtAway(report.away)}. Your drip earned ` +
+          `${big.format(report.gain)} bits` +
+          (capped ? ` (offline earnings stop after ${OFFLINE_CAP / 3600}h).` : ".") })
+      );
+      const ok = el("button","chip",{ type:"button", text:"Collect" });
+      ok.addEventListener("click", () => { welcomeEl?.remove(); welcomeEl = null; });
+      const actions = el("div","note__actions");
+      actions.append(ok);
+      welcomeEl.append(actions);
+      root.insertBefore(welcomeEl, root.children[1] || null);
+    }
+
+    // One passive tick (engine.run). Short stalls are caught up tick by tick;
+    // a gap past OFFLINE_MIN (rAF stops in background tabs) is settled by
+    // collectOffline instead.
+    function update(dt){
+      if (paused){
+        // paused time is not offline time
+        if (!sprint) state.lastSeen = Date.now();
+        return;
+      }
+
+      if (!sprint && Date.now() - state.lastSeen > OFFLINE_MIN * 1000){
+        showWelcome(collectOffline());
+        changed = true;
+        engine.resync();
+        return;
+      }
+
+      if (sprint && sprint.started && !sprint.done){
+        sprint.left = Math.max(0, sprint.left - dt);
+        if (sprint.left === 0){
+          sprint.done = true;
+          daily.record(sprint.day, "clicker", Math.floor(big.toNumber(state.total)));
+          sound.play("streak");
+        }
+        changed = true;
+      }
+      if (sprint?.done) return;
+
+      const gain = eco.passive(state, 1);
+      if (gain > 0n){
+        unsaved = changed = true;
+      } else if (!sprint){
+        state.lastSeen = Date.now();
+      }
+    }
+
+    function frame(alpha){
+      if (sprintEl && sprint.started && !sprint.done){
+        sprintEl.textContent = `Sprint: ${Math.max(0, sprint.left - alpha * TICK).toFixed(1)}s`;
+      }
+      if (unsaved){
+        unsaved = false;
+        achievements.emit("clicker", "total", big.toNumber(state.total));
+        save();
+      }
+      if (!changed) return;
+      changed = false;
+      render();
+    }
+
+    // DOM refs
+    let bitsEl, bpcEl, bpsEl, burstEl, listEl, sprintEl, welcomeEl;
+    let prestigeEl, rebootBtn, perkListEl;
+    let shopKey = "";          // levels and affordability the lists were last built for
+
+    function shopItem(title, desc, label, can, onBuy){
+      const item = el("div","listItem");
+      const meta = el("div","listItem__meta");
+      meta.append(
+        el("div","listItem__title",{ text: title }),
+        el("div","listItem__desc",{ text: desc })
+      );
+      const btn = el("button","buyBtn",{ type:"button", text: label });
+      btn.disabled = !can;
+      btn.addEventListener("click", onBuy);
+      item.append(meta, btn);
+      return item;
+    }
+
+    function render(){
+      if (!root) return;
+      bitsEl.textContent = `${big.format(state.bits)} bits`;
+      if (sprintEl){
+        sprintEl.textContent = sprint.done
+          ? `Sprint over: ${big.format(state.total)} bits`
+          : `Sprint: ${sprint.left.toFixed(1)}s`;
+      }
+      bpcEl.textContent = `${big.format(boost(state.bpc), 2)} / click`;
+      bpsEl.textContent = `${big.format(incomeRate(), 1)} / sec`;
+      if (prestigeEl) renderPrestige();
+
+      // the lists only change with a level or with what is affordable
+      const key = [
+        ...upgradeDefs.map(u => `${state.upgrades[u.id] || 0}:${state.bits >= eco.upgradeCost(state, u.id)}`),
+        ...(perkListEl ? prestigeDefs.map(p => `${perkLevel(p.id)}:${state.prestige.cores >= eco.perkCost(state, p.id)}`) : [])
+      ].join();
+      if (key === shopKey) return;
+      shopKey = key;
+      renderShop();
+      if (perkListEl) renderPerks();
+    }
+
+    function renderShop(){
+      listEl.innerHTML = "";
+      for (const u of upgradeDefs){
+        const cost = eco.upgradeCost(state, u.id);
+        const can = state.bits >= cost;
+        listEl.appendChild(shopItem(
+          `${u.title} (Lv ${state.upgrades[u.id] || 0})`,
+          `${u.desc} • Cost: ${big.format(cost)} bits`,
+          can ? "BUY" : "NEED MORE",
+          can,
+          () => {
+            if (sprint?.done || !eco.buyUpgrade(state, u.id)) return;
+            sound.play("buy");
+            achievements.emit("clicker", "upgrade", state.upgrades[u.id]);
+            save();
+            render();
+            refreshMenuBadges();
+          }
+        ));
+      }
+    }
+
+    function renderPrestige(){
+      const p = state.prestige;
+      const pending = pendingCores();
+      const nextAt = eco.nextCoreAt(state);
+      prestigeEl.textContent =
+        `Cores: ${big.format(big.whole(p.cores))} • Multiplier: x${(1 + perkLevel("mult") * 0.25).toFixed(2)} • ` +
+        `Reboots: ${p.reboots} • Lifetime: ${big.format(lifetimeBits())} bits • ` +
+        `Next core at ${big.format(nextAt)}`;
+      rebootBtn.textContent = pending > 0n ? `Reboot (+${big.format(big.whole(pending))} cores)` : "Reboot";
+      rebootBtn.disabled = pending <= 0n;
+    }
+
+    function renderPerks(){
+      const p = state.prestige;
+      perkListEl.innerHTML = "";
+      for (const perk of prestigeDefs){
+        const lvl = perkLevel(perk.id);
+        const maxed = lvl >= perk.max;
+        const cost = eco.perkCost(state, perk.id);
+        const can = !maxed && p.cores >= cost;
+        perkListEl.appendChild(shopItem(
+          `${perk.title} (Lv ${lvl}${perk.max < Infinity ? `/${perk.max}` : ""})`,
+          maxed ? perk.desc : `${perk.desc} • Cost: ${cost} core${cost === 1n ? "" : "s"}`,
+          maxed ? "MAXED" : can ? "BUY" : "NEED MORE",
+          can,
+          () => {
+            if (!eco.buyPerk(state, perk.id)) return;
+            sound.play("buy");
+            save();
+            render();
+          }
+        ));
+      }
+    }
+
+    function reboot(){
+      const gain = pendingCores();
+      if (sprint || gain <= 0n) return;
+      if (prefs.confirmReboot && !confirm(`Reboot for ${big.format(big.whole(gain))} core${gain === 1n ? "" : "s"}? Bits and upgrades reset, cores and perks stay.`)) return;
+      eco.reboot(state);
+      sound.play("streak");
+      achievements.emit("clicker", "reboot");
+      save();
+      render();
+      refreshMenuBadges();
+    }
+
+    function startSprint(day, seed){
+      state = freshState(Date.now());
+      sprint = { day, seed, left: SPRINT_SECONDS, started: false, done: false };
+      rng = createRng(seed);
+      engine.resync();
+    }
+
+    function generate(){
+      if (paused) return;
+      if (sprint){
+        if (sprint.done) return;
+        sprint.started = true;
+      }
+      const { gain, crit } = eco.clickGain(state, rng);
+      if (crit) achievements.emit("clicker", "crit");
+      sound.play(crit ? "crit" : "click");
+      addBits(gain);
+      // micro feedback text
+      burstEl.querySelector("div:last-child").textContent =
+        crit ? `CRIT! +${big.format(gain)} bits` : `+${big.format(gain)} bits`;
+    }
+
+    function onAction(action){
+      if (action !== "generate" || !root) return false;
+      generate();
+      return true;
+    }
+
+    function restart(){
+      if (sprint){
+        startSprint(sprint.day, sprint.seed);
+        render();
+        return;
+      }
+      eco.newRun(state);
+      save();
+      render();
+      refreshMenuBadges();
+    }
+
+    function mount(host, opts = {}){
+      root = el("div","stack");
+
+      if (opts.daily){
+        startSprint(opts.daily, opts.seed >>> 0);
+      } else {
+        state = saved;
+        sprint = null;
+        rng = Math.random;
+      }
+      const offline = sprint ? null : collectOffline();
+
+      sprintEl = sprint ? pill("", "pill--warn") : null;
+      const hud = makeHud(
+        sprint
+          ? [pill("NEON CLICKER","pill--good"), pill(`DAILY SPRINT ${sprint.day}`), sprintEl]
+          : [pill("NEON CLICKER","pill--good"), pill("Infinite progression")],
+        [pill(`Tap / Click / ${input.label("clicker", ["generate"])}`,"pill--warn"), pill("Buy upgrades","pill--warn")]
+      );
+
+      const wrap = el("div","shop");
+
+      // Left: Click button + stats
+      const left = el("div","stack");
+
+      const stats = el("div","hud");
+      bitsEl = el("div","pill pill--good",{ text:"0 bits" });
+      bpcEl = el("div","pill",{ text:"1 / click" });
+      bpsEl = el("div","pill",{ text:"0 / sec" });
+      stats.append(
+        el("div","hud__left"), el("div","hud__right")
+      );
+      stats.firstChild.append(bitsEl);
+      stats.lastChild.append(bpcEl, bpsEl);
+
+      const btn = el("button","bigBtn",{ type:"button", text:"GENERATE BITS" });
+      burstEl = el("div","note",{ html: `
+        <div class="note__title">Satisfying Loop</div>
+        <div style="color: var(--muted); font-size:12px; line-height:1.7;">
+          Click for spikes. Add passive income. Keep it minimal, keep it addictive.
+        </div>
+      `});
+
+      btn.addEventListener("click", generate);
 
-      // swipe left/right
-      if (Math.abs(dx) > 30 && Math.abs(dx) > Math.abs(dy) && dt < 400){
-        moveLane(dx < 0 ? -1 : +1);
+      left.append(stats, btn, burstEl);
+
+      // Right: Shop
+      const right = el("div","stack");
+      right.append(el("div","note",{ html: `
+        <div class="note__title">Upgrades</div>
+        <div style="color: var(--muted); font-size:12px; line-height:1.7;">
+          Costs scale smoothly to keep the loop going.
+        </div>
+      `}));
+
+      const list = el("div","list");
+      listEl = list;
+      right.append(list);
+
+      // prestige tree (not in the daily sprint, which starts from scratch)
+      prestigeEl = rebootBtn = perkListEl = null;
+      if (!sprint){
+        const box = el("div","note");
+        prestigeEl = el("div","note__text");
+        rebootBtn = el("button","chip",{ type:"button", text:"Reboot" });
+        rebootBtn.addEventListener("click", reboot);
+        const actions = el("div","note__actions");
+        actions.append(rebootBtn);
+        box.append(el("div","note__title",{ text:"Prestige" }), prestigeEl, actions);
+        perkListEl = el("div","list");
+        right.append(box, perkListEl);
       }
+
+      wrap.append(left, right);
+      root.append(hud, wrap);
+      host.appendChild(root);
+
+      // start ticking
+      paused = false;
+      shopKey = "";
+      engine.run({ step: TICK, update, render: frame, maxFrame: OFFLINE_MIN });
+      sound.startMusic("clicker");
+      input.attach("clicker", onAction);
+
+      render();
+      showWelcome(offline);
     }
-    function pointerPoint(ev){
-      const e = ev.touches ? ev.touches[0] : ev;
-      const rect = canvas.getBoundingClientRect();
-      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+
+    function unmount(){
+      engine.stop();
+      save();
+      root = null;
+      sprintEl = null;
+      welcomeEl = null;
+      prestigeEl = rebootBtn = perkListEl = null;
+      sound.stopMusic();
+      input.detach();
     }
 
-    // UI mount
-    function mount(host){
+    return {
+      id: "clicker",
+      title: "NEON CLICKER",
+      subtitle: "Clicks + upgrades • idle drip • infinite scaling",
+      icon: "✶",
+      tags: ["Idle"],
+      desc: "Satisfying upgrades. Infinite progression. Minimal UI.",
+      controls: () => `click/tap or ${input.label("clicker", ["generate"])} • buy upgrades`,
+      actions: [
+        { id: "generate", label: "Generate bits", keys: ["g"], pad: ["a"] }
+      ],
+      achievements: [
+        { id: "clicker-crit", title: "Glitch in the Matrix", desc: "Land a critical click", event: "crit", goal: 1, mode: "count" },
+        { id: "clicker-crits", title: "Crit Machine", desc: "Land 100 critical clicks", event: "crit", goal: 100, mode: "count" },
+        { id: "clicker-upgrade", title: "Overclocked", desc: "Raise any upgrade to level 10", event: "upgrade", goal: 10 },
+        { id: "clicker-kilo", title: "Kilobit", desc: "Generate 1,000 bits in total", event: "total", goal: 1000 },
+        { id: "clicker-mega", title: "Megabit", desc: "Generate 1,000,000 bits in total", event: "total", goal: 1000000 },
+        { id: "clicker-reboot", title: "Hard Reset", desc: "Reboot for prestige cores", event: "reboot", goal: 1, mode: "count" }
+      ],
+      getBadge: () => `Bits: ${big.format(big.from(store.get(KEY, { total: "0" }).total) ?? 0n)}`,
+      settings: [
+        { id: "confirmReboot", label: "Confirm reboot", type: "toggle", default: true }
+      ],
+      applySettings(values){ prefs = values; },
+      mount, unmount,
+      restart,
+      togglePause,
+      isPaused: () => paused,
+      // the drip keeps earning while away; only the timed sprint needs pausing
+      autoPause: () => !!sprint && sprint.started && !sprint.done
+    };
+  }
+
+  // ---------- GAME 3: GLITCH REACT ----------
+  function createGlitchReact(){
+    const BEST_KEY = "px_react_best";    // { mode: best } for the modes without a leaderboard
+    const MODE_KEY = "px_react_mode";
+    const STATS_KEY = "px_react_stats";  // recent session summaries, newest last
+    const STATS_KEEP = 30;
+
+    // Classic keeps the leaderboard and the daily challenge; the other modes
+    // each track their own best score.
+    const MODES = {
+      classic:  { title: "Classic",  help: "A highlighted pad appears. Hit it before the timer runs out. The window shrinks as your streak grows." },
+      rhythm:   { title: "Rhythm",   help: "Each pad is cued a beat early. Hit it on the click: Perfect, Great or Good by timing. The tempo rises with your combo." },
+      chord:    { title: "Chord",    help: "Two or three pads light up. Press them together." },
+      decoy:    { title: "Decoy",    help: "Hit the highlighted pad and leave the red decoy alone." },
+      survival: { title: "Survival", help: "Classic rules with three lives. A miss costs a life instead of the run." }
+    };
+    // targets, timing and judging live in sim/react.js
+    const sim = window.PixelSim.react;
+    const { LATE, LIVES, WINDOW } = sim;
+    const STEP = 1 / 120;                // engine step; presses between steps are timed exactly
+
+    // player options (see settings in the module below)
+    const SETTINGS = [
+      { id: "window", label: "Timing window", type: "range", min: 1, max: 2.5, step: 0.05, default: WINDOW,
+        fmt: (v) => `${v.toFixed(2)}s`,
+        hint: "The window shrinks as your streak grows and does not apply to Rhythm. Classic runs with a changed window are marked on the leaderboard." }
+    ];
+    let prefs = { window: WINDOW };
+
+    let mode = "classic";
+    let modeBest = store.get(BEST_KEY, {});
+    let best = 0;
+    let startedAt = 0;
+
+    let root = null;
+    let paused = false;
+
+    // state
+    let live = false;
+    let round = null;        // this or the last run: streak, score, targets, timers
+    let lastWall = 0;        // now() at the last frame, for timing between frames
+    let behind = 0;          // seconds the round's clock trailed the wall clock then
+
+    // analytics: every attempt this run as { pad, ms, ok }. `pad` is the pad
+    // that should have been hit; `ms` is the reaction time (rhythm: how far
+    // off the beat).
+    let log = [];
+
+    // fixed seed (daily challenge) reused by every attempt
+    let dailyDay = null;
+    let fixedSeed = null;
+
+    // DOM
+    let streakEl, bestEl, timeEl, livesEl, msgEl, helpEl, statsEl;
+    let pads = [];
+    let modeBtns = [];
+
+    const PAD_ACTIONS = ["pad0", "pad1", "pad2", "pad3"];
+
+    const bestFor = (m) => (m === "classic" ? leaderboards.best("react") : modeBest[m] || 0);
+
+    function saveBest(){
+      const { score, assist, tuned } = round;
+      best = Math.max(best, score);
+      if (mode !== "classic"){
+        if (score > (modeBest[mode] || 0)){
+          modeBest[mode] = score;
+          store.set(BEST_KEY, modeBest);
+        }
+        return;
+      }
+      if (!root || !leaderboards.qualifies("react", score)) return;
+
+      const entry = {
+        score,
+        date: new Date().toISOString(),
+        duration: Math.round((now() - startedAt) / 1000),
+        stats: { streak: score },
+        ...(assist < 1 ? { assist } : {}),
+        ...(tuned ? { custom: true } : {})
+      };
+      promptInitials(root, { rank: leaderboards.rankOf("react", score), score })
+        .then(name => {
+          if (!name) return;
+          leaderboards.add("react", { name, ...entry });
+          refreshMenuBadges();
+        });
+    }
+
+    function announceTargets(){
+      const keys = PAD_ACTIONS.map(a => keyLabel(input.keysFor("react", a)[0] || "?"));
+      const names = round.targets.map(p => keys[p]);
+      let text = names.length > 1 ? `Pads ${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : `Pad ${names[0]}`;
+      if (round.decoy >= 0) text += `. Avoid ${keys[round.decoy]}`;
+      announce(`${text}.`);
+    }
+
+    function record(pad, seconds, ok){
+      log.push({ pad, ms: Math.round(seconds * 1000), ok });
+    }
+
+    // Plays out what the round reported: sound, stats and status.
+    function handle(events){
+      for (const e of events){
+        switch (e.type){
+          case "target":
+            announceTargets();
+            break;
+          case "beat":
+            sound.play("click");
+            break;
+          case "press":
+            record(e.pad, e.seconds, true);
+            break;
+          case "hit":
+            record(e.pad, e.seconds, true);
+            achievements.emit("react", "streak", round.streak);
+            msgEl.textContent = e.text;
+            sound.play(round.streak % 10 === 0 ? "streak" : "hit");
+            break;
+          case "miss":
+            if (e.pad !== undefined) record(e.pad, e.seconds, false);
+            msgEl.textContent = e.text;
+            sound.play("miss");
+            shake(pads[0]?.parentElement);
+            break;
+          case "end":
+            end();
+            break;
+        }
+      }
+    }
+
+    function hit(i){
+      if (!live || paused) return;
+      handle(round.press(i, sinceFrame()));
+      render();
+    }
+
+    // Seconds since the last frame, so presses between frames are timed exactly.
+    function sinceFrame(){
+      return Math.min(0.05, behind + (now() - lastWall) / 1000);
+    }
+
+    function end(){
+      const { score } = round;
+      live = false;
+      announce(`${msgEl.textContent} ${MODES[mode].title} over. Score ${score}.${score > best ? " New best!" : ""}`);
+      saveBest();
+      if (dailyDay) daily.record(dailyDay, "react", score);
+      saveSession();
+      renderStats();
+      render();
+      refreshMenuBadges();
+    }
+
+    const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+    function median(xs){
+      if (!xs.length) return 0;
+      const s = [...xs].sort((a, b) => a - b);
+      const mid = s.length >> 1;
+      return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+    }
+
+    function saveSession(){
+      if (!log.length) return;
+      const ms = log.filter(e => e.ok).map(e => e.ms);
+      const sessions = store.get(STATS_KEY, []);
+      sessions.push({
+        date: new Date().toISOString(),
+        mode,
+        n: log.length,
+        mean: Math.round(mean(ms)),
+        median: Math.round(median(ms)),
+        acc: Math.round((ms.length / log.length) * 100)
+      });
+      store.set(STATS_KEY, sessions.slice(-STATS_KEEP));
+    }
+
+    // Post-run panel: summary, per-pad latency + accuracy, latency histogram
+    // and the median across recent sessions of this mode.
+    function renderStats(){
+      if (!statsEl) return;
+      statsEl.innerHTML = "";
+      statsEl.hidden = false;
+      const what = mode === "rhythm" ? "Timing error" : "Reaction";
+      statsEl.append(el("div","note__title",{ text: `Last run • ${MODES[mode].title}` }));
+      if (!log.length){
+        statsEl.append(el("div","note__text",{ text: "No presses recorded." }));
+        return;
+      }
+
+      const ok = log.filter(e => e.ok);
+      const ms = ok.map(e => e.ms);
+      statsEl.append(el("div","note__text",{ text:
+        `${what}: mean ${Math.round(mean(ms))} ms • median ${Math.round(median(ms))} ms • ` +
+        `${ok.length}/${log.length} correct (${Math.round((ok.length / log.length) * 100)}%)` }));
+
+      const keys = PAD_ACTIONS.map(a => keyLabel(input.keysFor("react", a)[0] || "?"));
+      const perPad = keys.map((key, pad) => {
+        const mine = log.filter(e => e.pad === pad);
+        const good = mine.filter(e => e.ok).map(e => e.ms);
+        return { key, n: mine.length, mean: Math.round(mean(good)), acc: mine.length ? Math.round((good.length / mine.length) * 100) : null };
+      });
+      const slowest = Math.max(...perPad.map(p => p.mean));
+      const padCanvas = chartCanvas(`${what} by pad (ms) and accuracy`);
+      barChart(padCanvas, perPad.map(p => ({
+        label: p.acc == null ? `${p.key} —` : `${p.key} ${p.acc}%`,
+        value: p.mean,
+        note: p.mean ? `${p.mean}ms` : "",
+        color: p.mean && p.mean === slowest ? "rgba(251,191,36,0.90)" : undefined
+      })));
+
+      const buckets = Array.from({ length: 11 }, (_, i) => ({ label: i < 10 ? String(i * 100) : "1k+", value: 0 }));
+      ms.forEach(v => buckets[Math.min(10, Math.floor(v / 100))].value++);
+      barChart(chartCanvas(`${what} histogram (100 ms buckets)`), buckets);
+
+      const trend = store.get(STATS_KEY, []).filter(x => x.mode === mode && x.median > 0).slice(-20).map(x => x.median);
+      lineChart(chartCanvas("Median across recent sessions (ms)"), trend, {
+        fmt: (v) => `${Math.round(v)}ms`,
+        empty: "Finish another run to see a trend"
+      });
+    }
+
+    function chartCanvas(caption){
+      const wrap = el("div","chart");
+      const canvas = el("canvas","",{ width: "320", height: "120", role: "img", "aria-label": caption });
+      wrap.append(el("div","chart__title",{ text: caption }), canvas);
+      statsEl.append(wrap);
+      return canvas;
+    }
+
+    function start(){
+      live = true;
+      paused = false;
+      log = [];
+      lastWall = now();
+      behind = 0;
+      startedAt = now();
+      round = sim.createRound({
+        mode,
+        rng: fixedSeed != null ? createRng(fixedSeed) : Math.random,
+        base: prefs.window,
+        assist: a11y.speed
+      });
+      msgEl.textContent = "Focus.";
+      handle(round.start());
+      render();
+    }
+
+    function restart(){
+      start();
+    }
+
+    function setMode(m){
+      if (live || !MODES[m]) return;
+      mode = m;
+      store.set(MODE_KEY, m);
+      best = bestFor(m);
+      if (helpEl) helpEl.textContent = MODES[m].help;
+      // the rhythm grid has its own click track
+      if (m === "rhythm") sound.stopMusic();
+      else if (root) sound.startMusic("react");
+      render();
+    }
+
+    function togglePause(){
+      paused = !paused;
+      return paused;
+    }
+
+    // Returns true when the action was used (see input.attach).
+    function onAction(action){
+      const pad = PAD_ACTIONS.indexOf(action);
+      if (pad >= 0){
+        hit(pad);
+        return true;
+      }
+      if (action === "start"){
+        if (live) return false;
+        start();
+        return true;
+      }
+      if (action === "pause"){
+        if (!live) return false;
+        setPauseUi(togglePause());
+        return true;
+      }
+      return false;
+    }
+
+    function update(dt){
+      if (live && !paused) handle(round.advance(dt));
+    }
+
+    function frame(alpha){
+      lastWall = now();
+      behind = alpha * STEP;
+      if (live && !paused) render();
+    }
+
+    function render(){
+      if (!root) return;
+      const { streak = 0, score = 0, lives = LIVES } = round || {};
+
+      streakEl.textContent = mode === "classic" || mode === "chord" || mode === "decoy"
+        ? `Streak: ${streak}`
+        : `Score: ${score}`;
+      bestEl.textContent = `Best: ${best}`;
+
+      if (mode === "rhythm"){
+        timeEl.textContent = live ? `BPM: ${round.bpm()} • Combo: ${streak}` : "BPM: —";
+      } else {
+        const remaining = live ? Math.max(0, round.timeLeft - round.timer) : 0;
+        timeEl.textContent = live
+          ? `Time: ${remaining.toFixed(2)}s`
+          : `Time: —`;
+      }
+
+      livesEl.hidden = mode !== "survival";
+      livesEl.textContent = `Lives: ${"♥".repeat(live ? lives : LIVES)}${"·".repeat(live ? LIVES - lives : 0)}`;
+
+      // rhythm cues glow early and light up fully inside the timing window
+      // the hint text repeats the state so it never relies on color alone
+      const cue = live && mode === "rhythm" && round.clock < round.due - LATE;
+      pads.forEach((p, i) => {
+        const target = live && round.targets.includes(i) && !round.pressed.has(i);
+        const isDecoy = live && i === round.decoy;
+        p.classList.toggle("pad--active", target && !cue);
+        p.classList.toggle("pad--cue", target && cue);
+        p.classList.toggle("pad--decoy", isDecoy);
+        p.lastChild.textContent = isDecoy ? "avoid" : target ? (cue ? "ready" : "hit!") : "tap";
+      });
+
+      modeBtns.forEach(b => {
+        const on = b.getAttribute("data-mode") === mode;
+        b.className = `chip${on ? "" : " chip--ghost"}`;
+        b.setAttribute("aria-pressed", String(on));
+        b.disabled = live;
+      });
+    }
+
+    function mount(host, opts = {}){
       root = el("div","stack");
+      dailyDay = opts.daily || null;
+      fixedSeed = opts.seed != null ? opts.seed >>> 0 : null;
+      const savedMode = store.get(MODE_KEY, "classic");
+      mode = dailyDay || !MODES[savedMode] ? "classic" : savedMode;
+      modeBest = store.get(BEST_KEY, {});
+      best = bestFor(mode);
+
+      const padKeys = PAD_ACTIONS.map(a => keyLabel(input.keysFor("react", a)[0] || "?"));
+      const startKey = keyLabel(input.keysFor("react", "start")[0] || "Enter");
 
       const hud = makeHud(
-        [pill("BYTE RUNNER", "pill--good"), pill(`BEST ${best}`)],
-        [pill("← → / A D", "pill--warn"), pill("Swipe", "pill--warn")]
+        [pill("GLITCH REACT","pill--good"), pill(`${input.label("react", PAD_ACTIONS)} / Tap pads`,"pill--warn")],
+        [pill(dailyDay ? `DAILY ${dailyDay}` : "Streak chasing","pill--warn")]
       );
 
-      const wrap = el("div","canvasWrap");
-      canvas = document.createElement("canvas");
-      canvas.width = W;
-      canvas.height = H;
-      ctx = canvas.getContext("2d", { alpha: false });
+      const modeRow = el("div","row");
+      modeBtns = [];
+      if (!dailyDay){
+        for (const [id, m] of Object.entries(MODES)){
+          const b = el("button","chip chip--ghost",{ type:"button", text: m.title, "data-mode": id });
+          b.addEventListener("click", () => setMode(id));
+          modeBtns.push(b);
+          modeRow.appendChild(b);
+        }
+      }
 
-      wrap.appendChild(canvas);
+      const stats = el("div","hud");
+      const left = el("div","hud__left");
+      const right = el("div","hud__right");
 
-      const touch = el("div","touchBar");
-      const leftBtn = el("button","touchBtn",{ type:"button", text:"LEFT" });
-      const rightBtn = el("button","touchBtn",{ type:"button", text:"RIGHT" });
-      leftBtn.addEventListener("click", () => moveLane(-1));
-      rightBtn.addEventListener("click", () => moveLane(+1));
-      touch.append(leftBtn, rightBtn);
+      streakEl = pill("Streak: 0","pill--good");
+      bestEl = pill(`Best: ${best}`);
+      timeEl = pill("Time: —","pill--warn");
+      livesEl = pill("","pill--bad");
+      const assistEl = pill(`Speed ${Math.round(a11y.speed * 100)}%`,"pill--warn");
+      assistEl.hidden = a11y.speed === 1;
 
-      const tip = el("div","note", { html: `
-        <div class="note__title">Loop Design</div>
+      left.append(streakEl, timeEl, livesEl, assistEl);
+      right.append(bestEl);
+
+      stats.append(left, right);
+
+      const note = el("div","note",{ html: `
+        <div class="note__title">How it works</div>
+        <div style="color: var(--muted); font-size:12px; line-height:1.7;"></div>
         <div style="color: var(--muted); font-size:12px; line-height:1.7;">
-          The game is intentionally minimal: quick deaths, instant restarts, and steadily rising speed.
-          Your best score is saved locally.
+          Pads: ${padKeys.map(k => `<strong>${k}</strong>`).join("/")}.
         </div>
       `});
+      helpEl = note.children[1];
+      helpEl.textContent = MODES[mode].help;
 
-      root.append(hud, wrap, touch, tip);
+      msgEl = el("div","note",{ html: `
+        <div class="note__title">Status</div>
+        <div style="color: var(--muted); font-size:12px; line-height:1.7;">Press ${startKey} to start.</div>
+      `}).querySelector("div:last-child");
+
+      const made = makePads(padKeys, hit);
+      const padsWrap = made.wrap;
+      pads = made.pads;
+
+      statsEl = el("div","note stats");
+      statsEl.hidden = true;
+
+      root.append(hud, modeRow, stats, padsWrap, note, msgEl.parentElement, statsEl);
       host.appendChild(root);
 
-      // listeners
-      window.addEventListener("keydown", onKey);
-      canvas.addEventListener("pointerdown", onPointerDown, { passive:true });
-      canvas.addEventListener("pointerup", onPointerUp, { passive:true });
-      canvas.addEventListener("touchstart", onPointerDown, { passive:true });
-      canvas.addEventListener("touchend", onPointerUp, { passive:true });
+      input.attach("react", onAction);
 
-      reset();
-      stop();
-      running = true;
-      raf = requestAnimationFrame(loop);
+      paused = false;
+      live = false;
+      round = null;
+      engine.run({ step: STEP, update, render: frame, maxFrame: 0.05 });
+      if (mode !== "rhythm") sound.startMusic("react");
+
+      render();
     }
 
     function unmount(){
-      stop();
-      window.removeEventListener("keydown", onKey);
-      if (canvas){
-        canvas.removeEventListener("pointerdown", onPointerDown);
-        canvas.removeEventListener("pointerup", onPointerUp);
-        canvas.removeEventListener("touchstart", onPointerDown);
-        canvas.removeEventListener("touchend", onPointerUp);
-      }
-      root = null; canvas = null; ctx = null;
+      input.detach();
+      engine.stop();
+      root = null;
+      pads = [];
+      modeBtns = [];
+      statsEl = null;
+      live = false;
+      sound.stopMusic();
     }
 
     return {
-      id: "runner",
-      title: "BYTE RUNNER",
-      subtitle: "Endless lane dodge • speed ramps • instant restarts",
+      id: "react",
+      title: "GLITCH REACT",
+      subtitle: "Reflex loop • rhythm, chord, decoy and survival modes",
+      icon: "▣",
+      tags: ["Reflex"],
+      desc: "Hit the matching key. Five modes, each with its own best.",
+      controls: () => `${input.label("react", PAD_ACTIONS)} • Gamepad: X Y A B • Mobile: tap the 4 pads`,
+      actions: [
+        { id: "pad0", label: "Pad 1", keys: ["h"], pad: ["x", "left"] },
+        { id: "pad1", label: "Pad 2", keys: ["j"], pad: ["y", "up"] },
+        { id: "pad2", label: "Pad 3", keys: ["k"], pad: ["a", "down"] },
+        { id: "pad3", label: "Pad 4", keys: ["l"], pad: ["b", "right"] },
+        { id: "start", label: "Start", keys: ["Enter"], pad: ["start"] },
+        { id: "pause", label: "Pause", keys: [" "], pad: ["start"] }
+      ],
+      achievements: [
+        { id: "react-10", title: "Warmed Up", desc: "Reach a streak of 10", event: "streak", goal: 10 },
+        { id: "react-25", title: "In the Zone", desc: "Reach a streak of 25", event: "streak", goal: 25 },
+        { id: "react-50", title: "Glitch Proof", desc: "Reach a streak of 50", event: "streak", goal: 50 }
+      ],
+      leaderboard: { stats: [["streak", "Longest streak"]] },
+      settings: SETTINGS,
+      applySettings(values){
+        prefs = values;
+        if (round) round.base = values.window;
+      },
+      isPaused: () => paused,
+      autoPause: () => live,
+      getBadge: () => `Best: ${leaderboards.best("react")}`,
       mount, unmount,
-      restart: reset,
+      restart,
       togglePause
     };
   }
 
-  // ---------- GAME 2: NEON CLICKER ----------
-  function createNeonClicker(){
-    const KEY = "px_clicker_state";
-    const state = store.get(KEY, {
-      bits: 0,
-      total: 0,
-      bpc: 1,          // bits per click
-      bps: 0,          // bits per second
-      upgrades: { core: 0, drip: 0, crit: 0 }
-    });
+  // ---------- GAME 4: PIXEL SNAKE ----------
+  function createPixelSnake(){
+    // the rules live in sim/snake.js; `game` is the current one
+    const sim = window.PixelSim.snake;
+    const { COLS, ROWS, LEVELS } = sim;
+    const CELL = 18;
+    const W = COLS * CELL;
+    const H = ROWS * CELL;
+    const STEP = 1 / 60;
+    const DIR_ACTIONS = ["up", "down", "left", "right"];
+
+    // foods take the runner's theme colors and a mark, so no kind relies on color alone
+    const FOOD_LOOK = {
+      bit:   { color: "orb", mark: "" },
+      byte:  { color: "pickup", mark: "3" },
+      trim:  { color: "block", mark: "−" },
+      turbo: { color: "gate", mark: "»" },
+      chill: { color: "mover", mark: "«" }
+    };
+    const FOOD_NAMES = { byte: "Byte: grow three", trim: "Trim: two shorter", turbo: "Turbo: faster", chill: "Chill: slower" };
+    const ARENA_NAMES = { wrap: "Wrap", walled: "Walled" };
+
+    // player options (see settings in the module below); arena and level are fixed per game
+    const SETTINGS = [
+      { id: "arena", label: "Arena", type: "select", default: "wrap",
+        options: [["wrap", "Wrap-around edges"], ["walled", "Walled"]] },
+      { id: "level", label: "Speed level", type: "range", min: 1, max: LEVELS.length, step: 1, default: 3,
+        hint: "Arena and speed apply from the next game. Every food is worth its points times the speed level." },
+      { id: "grid", label: "Grid dots", type: "toggle", default: true }
+    ];
+    let prefs = { arena: "wrap", level: 3, grid: true };
+
+    let best = leaderboards.best("snake");
 
     let root = null;
-    let tickTimer = 0;
-    let raf = 0;
-    let last = 0;
+    let canvas, ctx;
+
+    // game state
+    let game = null;
+    let phase = "ready";       // "ready" until the first turn, then "play", then "over"
     let paused = false;
+    let startedAt = 0;
+    let fixedSeed = null;
 
-    const upgradeDefs = [
-      {
-        id:"core",
-        title:"Core Boost",
-        desc:"+1 bits per click",
-        base: 25,
-        mult: 1.22,
-        buy(){
-          state.upgrades.core++;
-          state.bpc += 1;
-        }
-      },
-      {
-        id:"drip",
-        title:"Background Drip",
-        desc:"+1 bits per second",
-        base: 60,
-        mult: 1.28,
-        buy(){
-          state.upgrades.drip++;
-          state.bps += 1;
-        }
-      },
-      {
-        id:"crit",
-        title:"Glitch Crit",
-        desc:"More critical clicks (bigger spikes)",
-        base: 120,
-        mult: 1.35,
-        buy(){
-          state.upgrades.crit++;
-        }
-      }
-    ];
+    // input
+    let pointerDown = null;
 
-    const calcCost = (u) => {
-      const lvl = state.upgrades[u.id] || 0;
-      return Math.floor(u.base * Math.pow(u.mult, lvl));
-    };
+    function reset(){
+      phase = "ready";
+      paused = false;
+      game = sim.createGame({
+        arena: prefs.arena,
+        level: prefs.level,
+        rng: fixedSeed != null ? createRng(fixedSeed) : Math.random,
+        assist: a11y.speed
+      });
+      draw();
+    }
+
+    function togglePause(){
+      if (phase !== "play") return paused;
+      paused = !paused;
+      return paused;
+    }
+
+    function steer(dir){
+      if (!game || paused || phase === "over") return;
+      if (phase === "ready"){
+        phase = "play";
+        startedAt = now();
+        announce("Go!");
+      }
+      if (game.turn(dir)) sound.play("move");
+    }
 
-    function save(){ store.set(KEY, state); }
-    function togglePause(){ paused = !paused; return paused; }
+    // Sound, announcements and achievements for what happened in one update.
+    function onEvents(events){
+      for (const e of events){
+        switch (e.type){
+          case "eat":
+            sound.play(e.kind === "bit" ? "orb" : "power");
+            if (e.kind !== "bit"){
+              announce(`${FOOD_NAMES[e.kind]}.`);
+              achievements.emit("snake", "bonus", 1);
+            }
+            achievements.emit("snake", "length", game.snake.length + game.grow);
+            achievements.emit("snake", "score", game.score);
+            break;
+          case "crash":
+            sound.play("crash");
+            shake(canvas?.parentElement);
+            finish(e.cause);
+            break;
+        }
+      }
+    }
 
-    function addBits(n){
-      state.bits += n;
-      state.total += n;
-      save();
-      render();
-      refreshMenuBadges();
+    function finish(cause){
+      const { score } = game;
+      phase = "over";
+      announce(`${cause === "wall" ? "Hit the wall" : "Bit your tail"}. Score ${score}.${score > best ? " New best!" : ""}`);
+      best = Math.max(best, score);
+
+      if (root && leaderboards.qualifies("snake", score)){
+        const entry = {
+          score,
+          date: new Date().toISOString(),
+          duration: Math.round((now() - startedAt) / 1000),
+          stats: { length: game.snake.length, level: game.level, arena: ARENA_NAMES[game.arena] },
+          ...(game.assist < 1 ? { assist: game.assist } : {})
+        };
+        promptInitials(root, { rank: leaderboards.rankOf("snake", score), score })
+          .then(name => {
+            if (!name) return;
+            leaderboards.add("snake", { name, ...entry });
+            refreshMenuBadges();
+          });
+      }
     }
 
-    function clickGain(){
-      const critChance = clamp(0.08 + state.upgrades.crit * 0.02, 0.08, 0.40);
-      const crit = Math.random() < critChance;
-      const mult = crit ? (3 + Math.min(4, state.upgrades.crit)) : 1;
-      return { gain: state.bpc * mult, crit };
+    function update(dt){
+      if (phase === "play" && !paused) onEvents(game.advance(dt));
     }
 
-    function loop(t){
-      raf = requestAnimationFrame(loop);
-      if (!last) last = t;
-      const dt = Math.min(0.05, (t - last) / 1000);
-      last = t;
+    function draw(){
+      if (!ctx || !game) return;
+      const pal = RUNNER_PALETTES[a11y.theme] || RUNNER_PALETTES.default;
+      paintBackdrop(ctx, W, H);
 
-      if (paused) return;
+      if (prefs.grid){
+        ctx.fillStyle = "rgba(232,240,255,0.10)";
+        for (let y = 1; y < ROWS; y++){
+          for (let x = 1; x < COLS; x++) ctx.fillRect(x * CELL - 1, y * CELL - 1, 2, 2);
+        }
+      }
+      if (game.arena === "walled"){
+        ctx.strokeStyle = pal.block;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(1, 1, W - 2, H - 2);
+      }
 
-      // passive income
-      tickTimer += dt;
-      if (tickTimer >= 0.2){
-        const steps = Math.floor(tickTimer / 0.2);
-        tickTimer -= steps * 0.2;
-        const gain = (state.bps * 0.2) * steps;
-        if (gain > 0){
-          state.bits += gain;
-          state.total += gain;
-          save();
-          render();
-          refreshMenuBadges();
+      // food; bonus food blinks through its last moves
+      ctx.font = "bold 10px monospace";
+      ctx.textAlign = "center";
+      for (const f of game.foods){
+        const look = FOOD_LOOK[f.kind];
+        if (f.ttl != null && f.ttl <= 12 && f.ttl % 2 && !a11y.reducedMotion()) ctx.globalAlpha = 0.4;
+        paintPixel(ctx, f.x * CELL + 3, f.y * CELL + 3, CELL - 6, pal[look.color]);
+        ctx.globalAlpha = 1;
+        if (look.mark){
+          ctx.fillStyle = "#05060b";
+          ctx.fillText(look.mark, f.x * CELL + CELL / 2, f.y * CELL + CELL / 2 + 4);
         }
       }
-    }
+      ctx.textAlign = "start";
 
-    // DOM refs
-    let bitsEl, bpcEl, bpsEl, burstEl, listEl;
+      // snake, fading towards the tail; the head has eyes facing its way
+      const n = game.snake.length;
+      game.snake.forEach((c, i) => {
+        ctx.globalAlpha = 1 - (i / n) * 0.45;
+        paintPixel(ctx, c.x * CELL + 1, c.y * CELL + 1, CELL - 2, pal.player);
+      });
+      ctx.globalAlpha = 1;
+      const head = game.snake[0];
+      const d = sim.DIRS[game.dir];
+      const cx = head.x * CELL + CELL / 2 + d.x * 3;
+      const cy = head.y * CELL + CELL / 2 + d.y * 3;
+      ctx.fillStyle = "#05060b";
+      for (const side of [-4, 4]) ctx.fillRect(Math.round(cx + d.y * side) - 1, Math.round(cy + d.x * side) - 1, 3, 3);
 
-    function render(){
-      if (!root) return;
-      const bits = Math.floor(state.bits);
-      bitsEl.textContent = `${bits.toLocaleString()} bits`;
-      bpcEl.textContent = `${state.bpc} / click`;
-      bpsEl.textContent = `${state.bps} / sec`;
+      // HUD overlay inside canvas (pixel font look)
+      ctx.fillStyle = "rgba(232,240,255,0.85)";
+      ctx.font = "10px monospace";
+      ctx.fillText(`SCORE ${game.score}`, 12, 18);
+      ctx.fillText(`BEST  ${best}`, 12, 32);
+      ctx.textAlign = "right";
+      ctx.fillText(`LEN ${n} • LV ${game.level}`, W - 12, 18);
+      if (game.effect){
+        ctx.fillStyle = "rgba(52,211,153,0.95)";
+        ctx.fillText(`${game.effect.kind.toUpperCase()} ${game.effect.t.toFixed(1)}`, W - 12, 32);
+      }
+      ctx.textAlign = "start";
 
-      // shop list
-      listEl.innerHTML = "";
-      for (const u of upgradeDefs){
-        const cost = calcCost(u);
-        const can = state.bits >= cost;
+      if (phase === "ready"){
+        paintCurtain(ctx, W, H, "PIXEL SNAKE", [`${ARENA_NAMES[game.arena]} arena • speed ${game.level}`, "Steer to start"], { dim: 0.40 });
+      } else if (phase === "over"){
+        const again = `Press Restart (or ${keyLabel(input.keysFor("snake", "restart")[0] || "Enter")})`;
+        paintCurtain(ctx, W, H, "GAME OVER", [`Score ${game.score} • length ${n}`, again]);
+      } else if (paused){
+        paintCurtain(ctx, W, H, "PAUSED", [], { dim: 0.40 });
+      }
+    }
 
-        const item = el("div","listItem");
-        const meta = el("div","listItem__meta");
-        meta.append(
-          el("div","listItem__title",{ text: `${u.title} (Lv ${state.upgrades[u.id] || 0})` }),
-          el("div","listItem__desc",{ text: `${u.desc} • Cost: ${cost.toLocaleString()} bits` })
-        );
+    // Returns true when the action was used (see input.attach).
+    function onAction(action){
+      if (DIR_ACTIONS.includes(action)){
+        steer(action);
+        return true;
+      }
+      switch (action){
+        case "pause":
+          if (phase !== "play") return false;
+          setPauseUi(togglePause());
+          return true;
+        case "restart":
+          if (phase !== "over") return false;
+          reset();
+          setPauseUi(false);
+          return true;
+      }
+      return false;
+    }
 
-        const btn = el("button","buyBtn",{ type:"button", text: can ? "BUY" : "NEED MORE" });
-        btn.disabled = !can;
-        btn.addEventListener("click", () => {
-          const c = calcCost(u);
-          if (state.bits < c) return;
-          state.bits -= c;
-          u.buy();
-          save();
-          render();
-          refreshMenuBadges();
-        });
+    function onPointerDown(ev){
+      const p = pointerPoint(ev);
+      pointerDown = { x: p.x, y: p.y, t: now() };
+    }
+    function onPointerUp(ev){
+      if (!pointerDown) return;
+      const p = pointerPoint(ev);
+      const dx = p.x - pointerDown.x;
+      const dy = p.y - pointerDown.y;
+      const dt = now() - pointerDown.t;
 
-        item.append(meta, btn);
-        listEl.appendChild(item);
+      pointerDown = null;
+
+      // swipe in any of the four directions
+      if (Math.max(Math.abs(dx), Math.abs(dy)) > 24 && dt < 400){
+        if (Math.abs(dx) > Math.abs(dy)) steer(dx < 0 ? "left" : "right");
+        else steer(dy < 0 ? "up" : "down");
       }
     }
-
-    function restart(){
-      state.bits = 0;
-      state.total = 0;
-      state.bpc = 1;
-      state.bps = 0;
-      state.upgrades = { core: 0, drip: 0, crit: 0 };
-      save();
-      render();
-      refreshMenuBadges();
+    function pointerPoint(ev){
+      const e = ev.changedTouches ? ev.changedTouches[0] : ev;
+      const rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
     }
 
-    function mount(host){
+    // UI mount
+    function mount(host, opts = {}){
       root = el("div","stack");
+      best = leaderboards.best("snake");
+      fixedSeed = opts.seed != null ? opts.seed >>> 0 : null;
 
       const hud = makeHud(
-        [pill("NEON CLICKER","pill--good"), pill("Infinite progression")],
-        [pill("Tap / Click","pill--warn"), pill("Buy upgrades","pill--warn")]
+        [pill("PIXEL SNAKE", "pill--good"), pill(`BEST ${best}`)],
+        [pill(input.label("snake", DIR_ACTIONS), "pill--warn"), pill("Swipe", "pill--warn")]
       );
 
-      const wrap = el("div","shop");
+      const wrap = el("div","canvasWrap");
+      canvas = document.createElement("canvas");
+      canvas.width = W;
+      canvas.height = H;
+      canvas.setAttribute("role", "img");
+      canvas.setAttribute("aria-label", "PIXEL SNAKE playfield. Bonus food and game over are announced.");
+      ctx = canvas.getContext("2d", { alpha: false });
 
-      // Left: Click button + stats
-      const left = el("div","stack");
+      wrap.appendChild(canvas);
 
-      const stats = el("div","hud");
-      bitsEl = el("div","pill pill--good",{ text:"0 bits" });
-      bpcEl = el("div","pill",{ text:"1 / click" });
-      bpsEl = el("div","pill",{ text:"0 / sec" });
-      stats.append(
-        el("div","hud__left"), el("div","hud__right")
-      );
-      stats.firstChild.append(bitsEl);
-      stats.lastChild.append(bpcEl, bpsEl);
+      // d-pad: a plus shape on small screens (see .touchBar--pad)
+      const touch = el("div","touchBar touchBar--pad");
+      for (const dir of DIR_ACTIONS){
+        const b = el("button","touchBtn",{ type:"button", text: dir.toUpperCase(), "data-dir": dir });
+        b.addEventListener("click", () => steer(dir));
+        touch.appendChild(b);
+      }
 
-      const btn = el("button","bigBtn",{ type:"button", text:"GENERATE BITS" });
-      burstEl = el("div","note",{ html: `
-        <div class="note__title">Satisfying Loop</div>
+      const tip = el("div","note", { html: `
+        <div class="note__title">Food</div>
         <div style="color: var(--muted); font-size:12px; line-height:1.7;">
-          Click for spikes. Add passive income. Keep it minimal, keep it addictive.
+          Bits grow you by one. Now and then a bonus shows up for a short while:
+          <strong>3</strong> grows you by three, <strong>−</strong> trims two off your tail,
+          <strong>»</strong> speeds you up and <strong>«</strong> slows you down for five seconds.
+          Arena and speed level are on the Settings screen.
         </div>
       `});
 
-      btn.addEventListener("click", () => {
-        const { gain, crit } = clickGain();
-        addBits(gain);
-        // micro feedback text
-        burstEl.querySelector("div:last-child").textContent =
-          crit ? `CRIT! +${gain} bits` : `+${gain} bits`;
-      });
-
-      left.append(stats, btn, burstEl);
-
-      // Right: Shop
-      const right = el("div","stack");
-      right.append(el("div","note",{ html: `
-        <div class="note__title">Upgrades</div>
-        <div style="color: var(--muted); font-size:12px; line-height:1.7;">
-          Costs scale smoothly to keep the loop going.
-        </div>
-      `}));
-
-      const list = el("div","list");
-      listEl = list;
-      right.append(list);
-
-      wrap.append(left, right);
-      root.append(hud, wrap);
+      root.append(hud, wrap, touch, tip);
       host.appendChild(root);
 
-      // start ticking
-      paused = false;
-      tickTimer = 0;
-      last = 0;
-      cancelAnimationFrame(raf);
-      raf = requestAnimationFrame(loop);
+      // listeners
+      input.attach("snake", onAction);
+      canvas.addEventListener("pointerdown", onPointerDown, { passive:true });
+      canvas.addEventListener("pointerup", onPointerUp, { passive:true });
+      canvas.addEventListener("touchstart", onPointerDown, { passive:true });
+      canvas.addEventListener("touchend", onPointerUp, { passive:true });
 
-      render();
+      reset();
+      engine.run({ step: STEP, update, render: draw });
+      sound.startMusic("snake");
     }
 
     function unmount(){
-      cancelAnimationFrame(raf);
-      raf = 0;
-      root = null;
+      engine.stop();
+      sound.stopMusic();
+      input.detach();
+      if (canvas){
+        canvas.removeEventListener("pointerdown", onPointerDown);
+        canvas.removeEventListener("pointerup", onPointerUp);
+        canvas.removeEventListener("touchstart", onPointerDown);
+        canvas.removeEventListener("touchend", onPointerUp);
+      }
+      root = null; canvas = null; ctx = null;
+      phase = "ready";
+      paused = false;
     }
 
     return {
-      id: "clicker",
-      title: "NEON CLICKER",
-      subtitle: "Clicks + upgrades • idle drip • infinite scaling",
+      id: "snake",
+      title: "PIXEL SNAKE",
+      subtitle: "Grid snake • wrap or walled arenas • five speeds",
+      icon: "▤",
+      tags: ["Canvas", "Classic"],
+      desc: "Eat, grow and don't bite your tail. Bonus food changes your length or speed.",
+      controls: () => `${input.label("snake", DIR_ACTIONS)} • Mobile: swipe or use the d-pad`,
+      actions: [
+        { id: "up", label: "Up", keys: ["ArrowUp", "w"], pad: ["up"] },
+        { id: "down", label: "Down", keys: ["ArrowDown", "s"], pad: ["down"] },
+        { id: "left", label: "Left", keys: ["ArrowLeft", "a"], pad: ["left"] },
+        { id: "right", label: "Right", keys: ["ArrowRight", "d"], pad: ["right"] },
+        { id: "pause", label: "Pause", keys: [" "], pad: ["start"] },
+        { id: "restart", label: "Restart after game over", keys: ["Enter"], pad: ["start", "a"] }
+      ],
+      leaderboard: { stats: [["length", "Length"], ["level", "Speed"], ["arena", "Arena"]] },
+      settings: SETTINGS,
+      applySettings(values){
+        prefs = values;
+        if (phase === "ready" && game) reset();
+        else draw();
+      },
+      isPaused: () => paused,
+      autoPause: () => phase === "play",
+      achievements: [
+        { id: "snake-10", title: "Growing Pains", desc: "Reach a length of 10", event: "length", goal: 10 },
+        { id: "snake-30", title: "Data Serpent", desc: "Reach a length of 30", event: "length", goal: 30 },
+        { id: "snake-score", title: "Snack Stack", desc: "Score 500 in one game", event: "score", goal: 500 },
+        { id: "snake-bonus", title: "Gourmet", desc: "Eat 25 bonus foods in total", event: "bonus", goal: 25, mode: "count" }
+      ],
+      getBadge: () => `Best: ${leaderboards.best("snake")}`,
       mount, unmount,
-      restart,
+      restart: () => reset(),
       togglePause
     };
   }
 
-  // ---------- GAME 3: GLITCH REACT ----------
-  function createGlitchReact(){
-    const KEY = "px_best_react";
-    let best = store.get(KEY, 0);
+  // ---------- GAME 5: MEMORY MATRIX ----------
+  function createMemoryMatrix(){
+    const BEST_KEY = "px_memory_best";   // { mode: longest sequence }
+    const MODE_KEY = "px_memory_mode";
+
+    // Every mode tracks its own best. Expert swaps the four pads for a 3×3 grid.
+    const MODES = {
+      classic:  { title: "Classic", pads: 4, strict: false, help: "Watch the pads light up, then repeat them in order. Each round adds one more. A mistake replays the sequence; three mistakes end the run." },
+      strict:   { title: "Strict", pads: 4, strict: true, help: "Classic rules, but one mistake ends the run." },
+      expert:   { title: "Expert", pads: 9, strict: false, help: "Nine pads in a 3×3 grid. A mistake replays the sequence; three mistakes end the run." },
+      "expert-strict": { title: "Expert strict", pads: 9, strict: true, help: "The 3×3 grid, and one mistake ends the run." }
+    };
+    // sequences, playback timing and checking live in sim/memory.js
+    const sim = window.PixelSim.memory;
+    const { LIVES } = sim;
+    const STEP = 1 / 60;
+    const FEEDBACK = 0.18;               // seconds a pressed pad stays lit
+    const REVEAL = 0.9;                  // seconds the missed pad is shown after a mistake
+
+    const PAD_ACTIONS = ["pad0", "pad1", "pad2", "pad3"];
+    const GRID_ACTIONS = ["cell0", "cell1", "cell2", "cell3", "cell4", "cell5", "cell6", "cell7", "cell8"];
+    // gamepads play the grid with a cursor: the d-pad moves it, A presses
+    const CURSOR_MOVES = { cursorUp: [0, -1], cursorDown: [0, 1], cursorLeft: [-1, 0], cursorRight: [1, 0] };
+
+    let mode = "classic";
+    let modeBest = store.get(BEST_KEY, {});
 
     let root = null;
     let paused = false;
-
-    // state
     let live = false;
-    let streak = 0;
-    let timeLeft = 1.5;      // shrinks over time
-    let timer = 0;
-    let targetIndex = 0;     // 0..3
-    let raf = 0;
-    let last = 0;
+    let round = null;        // this or the last run
+    let fixedSeed = null;
+
+    // press feedback: the pad the player hit, or the one they should have
+    let flash = { pad: -1, t: 0, missed: false };
+
+    // grid cursor, shown once a gamepad moves it
+    let cursor = 4;
+    let cursorShown = false;
 
     // DOM
-    let streakEl, bestEl, timeEl, msgEl;
+    let keysEl, scoreEl, bestEl, livesEl, msgEl, helpEl, padsWrap;
     let pads = [];
+    let modeBtns = [];
 
-    const keys = ["h","j","k","l"];
+    const bestFor = (m) => modeBest[m] || 0;
+    const actionsFor = (m) => (MODES[m].pads === 9 ? GRID_ACTIONS : PAD_ACTIONS);
+    const padKeys = (m) => actionsFor(m).map(a => keyLabel(input.keysFor("memory", a)[0] || "?"));
+    const keysText = (m) => `${input.label("memory", actionsFor(m))} / Tap pads`;
 
     function saveBest(){
-      best = Math.max(best, streak);
-      store.set(KEY, best);
+      const { score } = round;
+      if (score <= bestFor(mode)) return;
+      modeBest[mode] = score;
+      store.set(BEST_KEY, modeBest);
     }
 
-    function newTarget(){
-      const next = Math.floor(Math.random() * 4);
-      targetIndex = next;
-      timer = 0;
-      timeLeft = clamp(1.55 - streak * 0.03, 0.55, 1.55);
-      render();
+    // Plays out what the round reported: sound, status and feedback.
+    function handle(events){
+      for (const e of events){
+        switch (e.type){
+          case "show":
+            msgEl.textContent = "Watch…";
+            announce(`Watch ${round.sequence.length === 1 ? "one pad" : `${round.sequence.length} pads`}.`);
+            break;
+          case "flash":
+            sound.play(`note${e.pad}`);
+            break;
+          case "input": {
+            const keys = padKeys(mode);
+            msgEl.textContent = "Your turn.";
+            // the sequence is read out too, so it never relies on sight alone
+            announce(`Your turn: ${round.sequence.map(p => keys[p]).join(", ")}.`);
+            break;
+          }
+          case "good":
+            sound.play(`note${e.pad}`);
+            flash = { pad: e.pad, t: FEEDBACK, missed: false };
+            break;
+          case "round":
+            msgEl.textContent = `Length ${e.length}!`;
+            achievements.emit("memory", "length", e.length);
+            if (MODES[mode].pads === 9) achievements.emit("memory", "expert", e.length);
+            if (e.length % 5 === 0) sound.play("streak");
+            break;
+          case "wrong":
+            sound.play("miss");
+            shake(padsWrap);
+            flash = { pad: e.expected, t: REVEAL, missed: true };
+            msgEl.textContent = round.phase === "over" ? "Wrong pad." : `Wrong pad. Tries left: ${round.lives}.`;
+            break;
+          case "end":
+            end();
+            break;
+        }
+      }
     }
 
     function hit(i){
       if (!live || paused) return;
-
-      if (i === targetIndex){
-        streak++;
-        msgEl.textContent = "Perfect.";
-        newTarget();
-      } else {
-        // fail
-        msgEl.textContent = "Miss.";
-        end();
-      }
+      handle(round.press(i));
+      render();
     }
 
     function end(){
+      const { score } = round;
       live = false;
+      announce(`${msgEl.textContent} ${MODES[mode].title} over. Length ${score}.${score > bestFor(mode) ? " New best!" : ""}`);
       saveBest();
       render();
       refreshMenuBadges();
@@ -785,161 +4113,449 @@
 
     function start(){
       live = true;
-      streak = 0;
-      msgEl.textContent = "Focus.";
-      newTarget();
+      paused = false;
+      flash = { pad: -1, t: 0, missed: false };
+      round = sim.createRound({
+        pads: MODES[mode].pads,
+        strict: MODES[mode].strict,
+        rng: fixedSeed != null ? createRng(fixedSeed) : Math.random,
+        assist: a11y.speed
+      });
+      handle(round.start());
       render();
     }
 
-    function restart(){
-      start();
+    function setMode(m){
+      if (live || !MODES[m]) return;
+      const regrid = MODES[m].pads !== MODES[mode].pads;
+      mode = m;
+      store.set(MODE_KEY, m);
+      round = null;
+      if (helpEl) helpEl.textContent = MODES[m].help;
+      if (regrid){
+        buildPads();
+        keysEl.textContent = keysText(m);
+      }
+      render();
     }
 
     function togglePause(){
+      if (!live) return paused;
       paused = !paused;
       return paused;
     }
 
-    function onKey(e){
-      if (e.repeat) return;
-      const k = e.key.toLowerCase();
-      const idx = keys.indexOf(k);
-      if (idx >= 0) hit(idx);
-      if (k === "enter" && !live) start();
+    // Returns true when the action was used (see input.attach).
+    function onAction(action){
+      const pad = actionsFor(mode).indexOf(action);
+      if (pad >= 0){
+        hit(pad);
+        return true;
+      }
+      if (CURSOR_MOVES[action] || action === "cursorPress"){
+        if (MODES[mode].pads !== 9) return false;
+        if (action === "cursorPress") hit(cursor);
+        else moveCursor(...CURSOR_MOVES[action]);
+        return true;
+      }
+      if (action === "start"){
+        if (live) return false;
+        start();
+        return true;
+      }
+      if (action === "pause"){
+        if (!live) return false;
+        setPauseUi(togglePause());
+        return true;
+      }
+      return false;
     }
 
-    function loop(t){
-      raf = requestAnimationFrame(loop);
-      if (!last) last = t;
-      const dt = Math.min(0.05, (t - last) / 1000);
-      last = t;
+    function moveCursor(dx, dy){
+      cursorShown = true;
+      cursor = clamp(cursor % 3 + dx, 0, 2) + clamp(Math.floor(cursor / 3) + dy, 0, 2) * 3;
+      render();
+    }
 
+    function update(dt){
       if (!live || paused) return;
+      if (flash.t > 0) flash.t = Math.max(0, flash.t - dt);
+      handle(round.advance(dt));
+    }
 
-      timer += dt;
-      if (timer >= timeLeft){
-        msgEl.textContent = "Too slow.";
-        end();
-      } else {
-        render();
-      }
+    function frame(){
+      if (live && !paused) render();
     }
 
     function render(){
       if (!root) return;
+      const { score = 0, lives = MODES[mode].strict ? 1 : LIVES } = round || {};
+      scoreEl.textContent = `Length: ${score}`;
+      bestEl.textContent = `Best: ${bestFor(mode)}`;
+      livesEl.hidden = MODES[mode].strict;
+      livesEl.textContent = `Lives: ${"♥".repeat(lives)}${"·".repeat(LIVES - lives)}`;
+
+      // the hint text repeats the state so it never relies on color alone
+      const showing = live && round.phase === "show";
+      const yourTurn = live && round.phase === "input";
+      pads.forEach((p, i) => {
+        const lit = showing && round.lit === i;
+        const pressed = flash.t > 0 && flash.pad === i;
+        p.classList.toggle("pad--flash", lit);
+        p.classList.toggle("pad--active", pressed && !flash.missed);
+        p.classList.toggle("pad--cue", pressed && flash.missed);
+        p.classList.toggle("pad--cursor", cursorShown && MODES[mode].pads === 9 && i === cursor);
+        p.lastChild.textContent = lit ? "now" : pressed && flash.missed ? "this one" : showing ? "watch" : yourTurn ? "tap" : "—";
+      });
 
-      streakEl.textContent = `Streak: ${streak}`;
-      bestEl.textContent = `Best: ${best}`;
-
-      const remaining = live ? Math.max(0, timeLeft - timer) : 0;
-      timeEl.textContent = live
-        ? `Time: ${remaining.toFixed(2)}s`
-        : `Time: —`;
+      modeBtns.forEach(b => {
+        const on = b.getAttribute("data-mode") === mode;
+        b.className = `chip${on ? "" : " chip--ghost"}`;
+        b.setAttribute("aria-pressed", String(on));
+        b.disabled = live;
+      });
+    }
 
-      pads.forEach((p, i) => p.classList.toggle("pad--active", live && i === targetIndex));
+    // Four pads in a row, or the 3×3 expert grid.
+    function buildPads(){
+      const next = makePads(padKeys(mode), hit, { grid: MODES[mode].pads === 9 });
+      padsWrap?.replaceWith(next.wrap);
+      padsWrap = next.wrap;
+      pads = next.pads;
     }
 
-    function mount(host){
+    function mount(host, opts = {}){
       root = el("div","stack");
+      fixedSeed = opts.seed != null ? opts.seed >>> 0 : null;
+      const savedMode = store.get(MODE_KEY, "classic");
+      mode = MODES[savedMode] ? savedMode : "classic";
+      modeBest = store.get(BEST_KEY, {});
 
+      const startKey = keyLabel(input.keysFor("memory", "start")[0] || "Enter");
+
+      keysEl = pill(keysText(mode),"pill--warn");
       const hud = makeHud(
-        [pill("GLITCH REACT","pill--good"), pill("H J K L / Tap pads","pill--warn")],
-        [pill("Streak chasing","pill--warn")]
+        [pill("MEMORY MATRIX","pill--good"), keysEl],
+        [pill("Sequence recall","pill--warn")]
       );
 
-      const stats = el("div","hud");
-      const left = el("div","hud__left");
-      const right = el("div","hud__right");
-
-      streakEl = pill("Streak: 0","pill--good");
-      bestEl = pill(`Best: ${best}`);
-      timeEl = pill("Time: —","pill--warn");
-
-      left.append(streakEl, timeEl);
-      right.append(bestEl);
+      const modeRow = el("div","row");
+      modeBtns = [];
+      for (const [id, m] of Object.entries(MODES)){
+        const b = el("button","chip chip--ghost",{ type:"button", text: m.title, "data-mode": id });
+        b.addEventListener("click", () => setMode(id));
+        modeBtns.push(b);
+        modeRow.appendChild(b);
+      }
 
-      stats.append(left, right);
+      scoreEl = pill("Length: 0","pill--good");
+      livesEl = pill("","pill--bad");
+      bestEl = pill("Best: 0");
+      const assistEl = pill(`Speed ${Math.round(a11y.speed * 100)}%`,"pill--warn");
+      assistEl.hidden = a11y.speed === 1;
+      const stats = makeHud([scoreEl, livesEl, assistEl], [bestEl]);
 
       const note = el("div","note",{ html: `
         <div class="note__title">How it works</div>
+        <div style="color: var(--muted); font-size:12px; line-height:1.7;"></div>
         <div style="color: var(--muted); font-size:12px; line-height:1.7;">
-          A highlighted pad appears. Hit the matching key (<strong>H</strong>/<strong>J</strong>/<strong>K</strong>/<strong>L</strong>)
-          before the timer runs out. The window shrinks as your streak grows.
+          Playback gets faster as the sequence grows. The grid uses the keys shown on its pads.
         </div>
       `});
+      helpEl = note.children[1];
+      helpEl.textContent = MODES[mode].help;
 
       msgEl = el("div","note",{ html: `
         <div class="note__title">Status</div>
-        <div style="color: var(--muted); font-size:12px; line-height:1.7;">Press Enter to start.</div>
+        <div style="color: var(--muted); font-size:12px; line-height:1.7;">Press ${startKey} to start.</div>
       `}).querySelector("div:last-child");
 
-      const padsWrap = el("div","reactPads");
-      pads = [];
-      for (let i=0;i<4;i++){
-        const p = el("div","pad",{ role:"button", tabindex:"0" });
-        p.append(
-          el("div","pad__key",{ text: keys[i].toUpperCase() }),
-          el("div","pad__hint",{ text: "tap" })
-        );
-        p.addEventListener("click", () => hit(i));
-        p.addEventListener("keydown", (e) => {
-          if (e.key === "Enter" || e.key === " ") hit(i);
-        });
-        pads.push(p);
-        padsWrap.appendChild(p);
-      }
+      padsWrap = null;
+      buildPads();
 
-      root.append(hud, stats, padsWrap, note, msgEl.parentElement);
+      root.append(hud, modeRow, stats, padsWrap, note, msgEl.parentElement);
       host.appendChild(root);
 
-      window.addEventListener("keydown", onKey);
+      input.attach("memory", onAction);
 
       paused = false;
       live = false;
-      last = 0;
-      cancelAnimationFrame(raf);
-      raf = requestAnimationFrame(loop);
+      round = null;
+      engine.run({ step: STEP, update, render: frame });
 
       render();
     }
 
     function unmount(){
-      window.removeEventListener("keydown", onKey);
-      cancelAnimationFrame(raf);
-      raf = 0;
+      input.detach();
+      engine.stop();
       root = null;
       pads = [];
+      padsWrap = null;
+      modeBtns = [];
+      live = false;
     }
 
     return {
-      id: "react",
-      title: "GLITCH REACT",
-      subtitle: "Reflex loop • shrinking timing window • streak-based",
+      id: "memory",
+      title: "MEMORY MATRIX",
+      subtitle: "Sequence recall • strict and 3×3 expert modes",
+      icon: "▚",
+      tags: ["Memory"],
+      desc: "Repeat the growing light sequence. Four modes, each with its own best.",
+      controls: () => `${input.label("memory", PAD_ACTIONS)} • Expert grid: ${input.label("memory", GRID_ACTIONS)} • Gamepad: X Y A B, grid: D-pad + A, Select pauses • Mobile: tap the pads`,
+      actions: [
+        { id: "pad0", label: "Pad 1", keys: ["h"], pad: ["x", "left"] },
+        { id: "pad1", label: "Pad 2", keys: ["j"], pad: ["y", "up"] },
+        { id: "pad2", label: "Pad 3", keys: ["k"], pad: ["a", "down"] },
+        { id: "pad3", label: "Pad 4", keys: ["l"], pad: ["b", "right"] },
+        ...["q", "w", "e", "a", "s", "d", "z", "x", "c"].map((key, i) => ({ id: `cell${i}`, label: `Grid pad ${i + 1}`, keys: [key] })),
+        { id: "cursorUp", label: "Grid cursor up", keys: [], pad: ["up"] },
+        { id: "cursorDown", label: "Grid cursor down", keys: [], pad: ["down"] },
+        { id: "cursorLeft", label: "Grid cursor left", keys: [], pad: ["left"] },
+        { id: "cursorRight", label: "Grid cursor right", keys: [], pad: ["right"] },
+        { id: "cursorPress", label: "Press the grid cursor pad", keys: [], pad: ["a"] },
+        { id: "start", label: "Start", keys: ["Enter"], pad: ["start"] },
+        { id: "pause", label: "Pause", keys: [" "], pad: ["select"] }
+      ],
+      achievements: [
+        { id: "memory-8", title: "Short Term", desc: "Repeat a sequence of 8", event: "length", goal: 8 },
+        { id: "memory-15", title: "Photographic", desc: "Repeat a sequence of 15", event: "length", goal: 15 },
+        { id: "memory-expert", title: "Matrix Mind", desc: "Repeat a sequence of 10 on the 3×3 grid", event: "expert", goal: 10 }
+      ],
+      isPaused: () => paused,
+      autoPause: () => live,
+      getBadge: () => `Best: ${Math.max(0, ...Object.values(store.get(BEST_KEY, {})))}`,
       mount, unmount,
-      restart,
+      restart: start,
       togglePause
     };
   }
 
+  // ---------- DAILY CHALLENGE (hub) ----------
+  function createDailyHub(){
+    const HISTORY_DAYS = 28;
+    let root = null;
+
+    function describe(day){
+      const rec = daily.get(day);
+      return daily.games
+        .map(g => `${g.title}: ${rec[g.id] != null ? `${rec[g.id].toLocaleString()} ${g.unit}` : "—"}`)
+        .join(" • ");
+    }
+
+    function mount(host){
+      const today = dayKey();
+      const rec = daily.get(today);
+      root = el("div","stack");
+
+      const hud = makeHud(
+        [pill("DAILY CHALLENGE","pill--good"), pill(today)],
+        [pill("Same seed for everyone","pill--warn")]
+      );
+
+      const list = el("div","list");
+      for (const g of daily.games){
+        const item = el("div","listItem");
+        const meta = el("div","listItem__meta");
+        meta.append(
+          el("div","listItem__title",{ text: g.title }),
+          el("div","listItem__desc",{ text: rec[g.id] != null
+            ? `Today's best: ${rec[g.id].toLocaleString()} ${g.unit}`
+            : "Not played yet today" })
+        );
+        const btn = el("button","buyBtn",{ type:"button", text:"PLAY" });
+        btn.addEventListener("click", () => mountGame(g.id, { daily: today, seed: daily.seed(today, g.id) }));
+        item.append(meta, btn);
+        list.appendChild(item);
+      }
+
+      // history: the last four weeks, oldest first
+      const history = el("div","note");
+      history.append(el("div","note__title",{ text:"History" }));
+      const cal = el("div","cal");
+      const detail = el("div","cal__detail",{ text: "Pick a day to see its results." });
+      const d = new Date();
+      d.setDate(d.getDate() - (HISTORY_DAYS - 1));
+      for (let i=0;i<HISTORY_DAYS;i++){
+        const key = dayKey(d);
+        const played = Object.keys(daily.get(key)).length > 0;
+        const cell = el("button", "cal__day", { type:"button", title: key, text: String(d.getDate()) });
+        cell.classList.toggle("cal__day--played", played);
+        cell.classList.toggle("cal__day--today", key === today);
+        cell.addEventListener("click", () => {
+          detail.textContent = `${key} • ${describe(key)}`;
+        });
+        cal.appendChild(cell);
+        d.setDate(d.getDate() + 1);
+      }
+      history.append(cal, detail);
+
+      root.append(hud, list, history);
+      host.appendChild(root);
+    }
+
+    function unmount(){
+      root = null;
+    }
+
+    return {
+      id: "daily",
+      title: "DAILY CHALLENGE",
+      subtitle: "One seed per day • three games • compare runs with friends",
+      icon: "◷",
+      tags: ["Seeded"],
+      desc: "Today's seed for all three games. Same run for everyone.",
+      getBadge(){
+        const rec = daily.get(dayKey());
+        const played = daily.games.filter(g => rec[g.id] != null).length;
+        return `Today: ${played}/${daily.games.length}`;
+      },
+      mount, unmount
+    };
+  }
+
   // ---------- Registry ----------
-  const games = {
-    runner: createByteRunner(),
-    clicker: createNeonClicker(),
-    react: createGlitchReact()
-  };
+  // A game module is a plain object:
+  //   { id, title, subtitle, icon, tags, desc, controls (text or fn), getBadge(),
+  //     actions?: [{ id, label, keys, pad }]  (see createInput)
+  //     achievements?: [{ id, title, desc, event, goal, mode }]  (see achievements)
+  //     mount(host, opts), unmount(), restart?(), togglePause?() -> paused,
+  //     isPaused?() -> bool, autoPause?() -> false to skip the blur/hidden pause,
+  //     leaderboard?: { stats: [[key, label], ...] },
+  //     settings?: [{ id, label, type, default, ... }]  (see settings),
+  //     applySettings?(values) -> called before mount and on every change }
+  // Built-ins register below; other scripts call PixelArcade.registerGame().
+  const games = {};
+
+  function registerGame(game){
+    if (!game || typeof game.id !== "string" || !game.id) throw new Error("registerGame: a game needs a string id.");
+    if (games[game.id]) throw new Error(`registerGame: "${game.id}" is already registered.`);
+    if (typeof game.mount !== "function") throw new Error(`registerGame: "${game.id}" has no mount(host).`);
+
+    games[game.id] = game;
+    if (game.actions) input.define(game.id, game.actions);
+    if (game.achievements) achievements.define(game.id, game.achievements);
+    if (game.settings) settings.define(game.id, game.settings);
+    if (game.leaderboard){
+      leaderboards.boards.push({ id: game.id, title: game.title, stats: game.leaderboard.stats || [] });
+    }
+    renderMenu();
+    return game;
+  }
+
+  function renderMenu(){
+    gameGrid.innerHTML = "";
+    controlsList.innerHTML = "";
+
+    for (const g of Object.values(games)){
+      const card = el("button","card",{ type:"button", "data-open": g.id });
+      const top = el("div","card__top");
+      const meta = el("div","card__meta");
+      meta.append(
+        el("div","card__title",{ text: g.title }),
+        el("div","card__desc",{ text: g.desc || g.subtitle || "" })
+      );
+      top.append(el("div","card__icon",{ text: g.icon || "◼︎", "aria-hidden":"true" }), meta);
+
+      const bottom = el("div","card__bottom");
+      (g.tags || []).forEach(t => bottom.appendChild(el("span","tag",{ text: t })));
+      bottom.appendChild(el("span","tag",{ "data-badge": g.id }));
+      if (achievements.forGame(g.id).length) bottom.appendChild(el("span","tag",{ "data-ach": g.id }));
+
+      card.append(top, bottom);
+      gameGrid.appendChild(card);
+
+      const controls = typeof g.controls === "function" ? g.controls() : g.controls;
+      if (controls){
+        const li = el("li");
+        li.append(el("strong","",{ text: `${g.title}:` }), ` ${controls}`);
+        controlsList.appendChild(li);
+      }
+    }
+    refreshMenuBadges();
+  }
 
   function refreshMenuBadges(){
-    const runnerBest = store.get("px_best_runner", 0);
-    bestRunnerTag.textContent = `Best: ${runnerBest}`;
+    for (const g of Object.values(games)){
+      const tag = gameGrid.querySelector(`[data-badge="${g.id}"]`);
+      if (!tag) continue;
+      let text = "";
+      try { text = g.getBadge ? String(g.getBadge()) : ""; } catch {}
+      tag.textContent = text;
+      tag.hidden = !text;
+
+      const ach = gameGrid.querySelector(`[data-ach="${g.id}"]`);
+      if (ach){
+        const { got, total } = achievements.count(g.id);
+        ach.textContent = `${got}/${total} achievements`;
+      }
+    }
+  }
+
+  registerGame(createByteRunner());
+  registerGame(createRunnerVersus());
+  registerGame(createNeonClicker());
+  registerGame(createGlitchReact());
+  registerGame(createPixelSnake());
+  registerGame(createMemoryMatrix());
+  registerGame(createDailyHub());
+
+  // Public surface for third-party game scripts loaded after app.js.
+  window.PixelArcade = Object.freeze({
+    registerGame,
+    mountGame,
+    refreshMenuBadges,
+    store,
+    sound,
+    leaderboards,
+    achievements,
+    a11y,
+    settings,
+    engine,
+    ui: Object.freeze({ el, pill, makeHud, promptInitials, isTyping, announce, shake, makePads, paintBackdrop, paintPixel, paintCurtain }),
+    util: Object.freeze({ clamp, now, createRng, randomSeed, hashSeed, big })
+  });
+
+  // ---------- Offline / updates ----------
+  // The service worker precaches the app. When a new build is deployed its
+  // worker waits; the topbar chip lets the player swap to it and reload.
+  const btnUpdate = $("#btnUpdate");
+
+  function offerUpdate(worker){
+    btnUpdate.hidden = false;
+    btnUpdate.onclick = () => {
+      btnUpdate.disabled = true;
+      worker.postMessage({ type: "SKIP_WAITING" });
+    };
+  }
 
-    const clickerState = store.get("px_clicker_state", { total: 0 });
-    bestClickerTag.textContent = `Bits: ${Math.floor(clickerState.total || 0).toLocaleString()}`;
+  if ("serviceWorker" in navigator && (location.protocol === "https:" || location.hostname === "localhost")){
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (reloading) return;
+      reloading = true;
+      location.reload();
+    });
 
-    const reactBest = store.get("px_best_react", 0);
-    bestReactTag.textContent = `Best: ${reactBest}`;
+    window.addEventListener("load", () => {
+      navigator.serviceWorker.register("sw.js").then(reg => {
+        if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+        reg.addEventListener("updatefound", () => {
+          const worker = reg.installing;
+          if (!worker) return;
+          worker.addEventListener("statechange", () => {
+            if (worker.state === "installed" && navigator.serviceWorker.controller) offerUpdate(worker);
+          });
+        });
+      }).catch(() => {});
+    });
   }
-  refreshMenuBadges();
 
-  // Start on menu
-  showScreen("menu");
+  // Start wherever the URL points (menu by default), once the deferred game
+  // scripts after app.js have registered, so #/<their id> links work too.
+  // `load` covers an app.js added after DOMContentLoaded; applyRoute skips
+  // a route it already shows.
+  document.addEventListener("DOMContentLoaded", applyRoute, { once: true });
+  window.addEventListener("load", applyRoute, { once: true });
 })();
@@ -0,0 +1,182 @@
+/* Pixel Arcade - NEON CLICKER economy
+   - Costs, click and idle income, offline earnings and prestige as functions
+     of a plain state object; app.js owns the UI, saving and the clock
+     (window.PixelSim.clicker in the page)
+   - Amounts are big values (BigInt thousandths, see core.js)
+*/
+
+(function (root, factory){
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./core.js"));
+  else (root.PixelSim = root.PixelSim || {}).clicker = factory(root.PixelSim.core);
+})(typeof self !== "undefined" ? self : this, function (core){
+  "use strict";
+
+  const { clamp, big, BIG_ONE } = core;
+
+  const TICK = 0.2;                    // seconds per passive income tick
+  // Offline progress: the drip keeps earning while the clicker is not
+  // mounted (menu, other games, closed tab), up to OFFLINE_CAP seconds.
+  const OFFLINE_CAP = 8 * 60 * 60;
+  const OFFLINE_MIN = 10;              // shorter gaps are not worth a summary
+
+  // cost = floor(base * mult^level) whole bits
+  const UPGRADES = [
+    { id: "core", base: 25, mult: 1.22 },    // +1 bit per click
+    { id: "drip", base: 60, mult: 1.28 },    // +1 bit per second
+    { id: "crit", base: 120, mult: 1.35 }    // more and bigger crits
+  ];
+
+  // Prestige: rebooting turns lifetime bits into cores, spent on perks that
+  // survive every reset. Cores earned so far = floor(sqrt(lifetime / CORE_BITS)).
+  const CORE_BITS = 10000n;
+  const PERKS = [
+    { id: "mult", base: 1, max: Infinity },  // +25% bits from every source
+    { id: "auto", base: 2, max: 10 },        // one free click per second
+    { id: "start", base: 1, max: 20 },       // +1,000 starting bits per run
+    { id: "critcap", base: 3, max: 8 }       // +5% max crit chance
+  ];
+
+  const freshPrestige = () => ({
+    cores: 0n,       // unspent (whole BigInt)
+    earned: 0n,      // claimed over all reboots (whole BigInt)
+    lifetime: 0n,    // bits from finished runs
+    reboots: 0,
+    perks: { mult: 0, auto: 0, start: 0, critcap: 0 }
+  });
+
+  const freshState = (now = Date.now()) => ({
+    bits: 0n,
+    total: 0n,
+    bpc: BIG_ONE,    // bits per click
+    bps: 0n,         // bits per second
+    lastSeen: now,
+    upgrades: { core: 0, drip: 0, crit: 0 },
+    prestige: freshPrestige()
+  });
+
+  // Saves keep amounts as decimal strings.
+  function thaw(v, now){
+    if (!v) return freshState(now);
+    const p = v.prestige;
+    return {
+      ...v,
+      bits: big.from(v.bits), total: big.from(v.total), bpc: big.from(v.bpc), bps: big.from(v.bps),
+      prestige: { ...p, cores: BigInt(p.cores), earned: BigInt(p.earned), lifetime: big.from(p.lifetime), perks: { ...p.perks } }
+    };
+  }
+
+  function freeze(st){
+    const p = st.prestige;
+    return {
+      ...st,
+      bits: big.toString(st.bits), total: big.toString(st.total), bpc: big.toString(st.bpc), bps: big.toString(st.bps),
+      prestige: { ...p, cores: String(p.cores), earned: String(p.earned), lifetime: big.toString(p.lifetime) }
+    };
+  }
+
+  const perkLevel = (st, id) => st.prestige.perks[id] || 0;
+  const boost = (st, b) => big.scale(b, 4 + perkLevel(st, "mult"), 4);  // +25% per Overclock level
+  const incomeRate = (st) => boost(st, st.bps + big.scale(st.bpc, perkLevel(st, "auto")));
+  const lifetimeBits = (st) => st.prestige.lifetime + st.total;
+
+  // floor(base * mult^lvl) whole bits, exact at any level
+  function upgradeCost(st, id){
+    const u = UPGRADES.find(x => x.id === id);
+    const lvl = BigInt(st.upgrades[id] || 0);
+    const num = BigInt(Math.round(u.mult * 100));
+    return big.whole((BigInt(u.base) * num ** lvl) / 100n ** lvl);
+  }
+
+  function perkCost(st, id){
+    const p = PERKS.find(x => x.id === id);
+    return BigInt(p.base * (perkLevel(st, id) + 1));
+  }
+
+  function pendingCores(st){
+    const n = big.sqrt(lifetimeBits(st) / BIG_ONE / CORE_BITS) - st.prestige.earned;
+    return n > 0n ? n : 0n;
+  }
+
+  // Lifetime bits at which the next core is earned.
+  const nextCoreAt = (st) => big.whole(CORE_BITS * (st.prestige.earned + pendingCores(st) + 1n) ** 2n);
+
+  const critChance = (st) => clamp(0.08 + st.upgrades.crit * 0.02, 0.08, 0.40 + perkLevel(st, "critcap") * 0.05);
+
+  // One click: { gain, crit }. Does not add the bits.
+  function clickGain(st, rng){
+    const crit = rng() < critChance(st);
+    const mult = crit ? (3 + Math.min(4, st.upgrades.crit)) : 1;
+    return { gain: boost(st, big.scale(st.bpc, mult)), crit };
+  }
+
+  function addBits(st, n){
+    st.bits += n;
+    st.total += n;
+  }
+
+  // Idle income for `ticks` passive ticks; returns what was added.
+  function passive(st, ticks){
+    const gain = big.scale(incomeRate(st), ticks, Math.round(1 / TICK));
+    addBits(st, gain);
+    return gain;
+  }
+
+  // Credits the drip for the time since lastSeen. Returns { away, counted,
+  // gain } in seconds and bits, or null when there is nothing to report.
+  function collectOffline(st, now){
+    const away = (now - st.lastSeen) / 1000;
+    if (away < OFFLINE_MIN) return null;
+    const counted = Math.min(away, OFFLINE_CAP);
+    const gain = big.scale(incomeRate(st), Math.floor(counted));
+    if (gain <= 0n) return null;
+    addBits(st, gain);
+    return { away, counted, gain };
+  }
+
+  // Returns false when the upgrade is not affordable.
+  function buyUpgrade(st, id){
+    const cost = upgradeCost(st, id);
+    if (st.bits < cost) return false;
+    st.bits -= cost;
+    st.upgrades[id] = (st.upgrades[id] || 0) + 1;
+    if (id === "core") st.bpc += BIG_ONE;
+    if (id === "drip") st.bps += BIG_ONE;
+    return true;
+  }
+
+  function buyPerk(st, id){
+    const p = PERKS.find(x => x.id === id);
+    const cost = perkCost(st, id);
+    if (perkLevel(st, id) >= p.max || st.prestige.cores < cost) return false;
+    st.prestige.cores -= cost;
+    st.prestige.perks[id] = perkLevel(st, id) + 1;
+    return true;
+  }
+
+  // Starts a new run. Prestige and lastSeen carry over; the run's bits
+  // count towards lifetime so pending cores are never lost.
+  function newRun(st){
+    const { prestige, lastSeen } = st;
+    prestige.lifetime += st.total;
+    Object.assign(st, freshState(lastSeen), { prestige });
+    st.bits = big.whole(perkLevel(st, "start") * 1000);
+  }
+
+  // Claims pending cores and starts over; returns the cores gained (0n: nothing happened).
+  function reboot(st){
+    const gain = pendingCores(st);
+    if (gain <= 0n) return 0n;
+    st.prestige.cores += gain;
+    st.prestige.earned += gain;
+    st.prestige.reboots++;
+    newRun(st);
+    return gain;
+  }
+
+  return {
+    TICK, OFFLINE_CAP, OFFLINE_MIN, UPGRADES, CORE_BITS, PERKS,
+    freshState, freshPrestige, thaw, freeze,
+    perkLevel, boost, incomeRate, lifetimeBits, upgradeCost, perkCost, pendingCores, nextCoreAt,
+    critChance, clickGain, addBits, passive, collectOffline, buyUpgrade, buyPerk, newRun, reboot
+  };
+});
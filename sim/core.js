@@ -0,0 +1,103 @@
+/* Pixel Arcade - shared simulation helpers
+   - Loaded before app.js in the page (window.PixelSim.core) and with require()
+     in Node, so the game simulations in sim/ can be tested headless
+   - No DOM, no timers, no storage: callers pass clocks and RNGs in
+*/
+
+(function (root, factory){
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.PixelSim = root.PixelSim || {}).core = factory();
+})(typeof self !== "undefined" ? self : this, function (){
+  "use strict";
+
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+  // Seedable PRNG (mulberry32): same seed -> same sequence in every browser.
+  function createRng(seed){
+    let a = seed >>> 0;
+    return function rng(){
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // FNV-1a: stable 32-bit seed from any string (e.g. a date key).
+  function hashSeed(str){
+    let h = 0x811c9dc5;
+    for (let i=0;i<str.length;i++){
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // ---------- Big numbers ----------
+  // Idle amounts are BigInt thousandths of a unit, so fractions survive and
+  // nothing ever rounds off or overflows to Infinity. Saves keep them as
+  // decimal strings ("1234.5"). `notation` is the player's display choice.
+  const BIG_ONE = 1000n;
+  const SUFFIXES = ["", "K", "M", "B", "T", "Qa", "Qi", "Sx", "Sp", "Oc", "No", "Dc"];
+
+  const big = {
+    notation: "suffix",        // "suffix" | "scientific"
+    // number | decimal string | big -> big, or null when not a valid amount
+    from(v){
+      if (typeof v === "bigint") return v;
+      if (typeof v === "number"){
+        if (!Number.isFinite(v) || v < 0) return null;
+        // past 2^53 a double has no fraction left (and v * 1000 could overflow)
+        return v > Number.MAX_SAFE_INTEGER ? BigInt(v) * BIG_ONE : BigInt(Math.round(v * 1000));
+      }
+      const m = typeof v === "string" && /^(\d+)(?:\.(\d+))?$/.exec(v);
+      if (!m) return null;
+      return BigInt(m[1]) * BIG_ONE + BigInt((m[2] || "").slice(0, 3).padEnd(3, "0"));
+    },
+    whole: (n) => BigInt(n) * BIG_ONE,
+    toString(b){
+      const frac = b % BIG_ONE;
+      const int = (b / BIG_ONE).toString();
+      return frac ? `${int}.${String(frac).padStart(3, "0").replace(/0+$/, "")}` : int;
+    },
+    // approximate, for ratios and achievements (may be Infinity)
+    toNumber: (b) => Number(b) / 1000,
+    // b * num / den for small integer num/den
+    scale: (b, num, den = 1) => (b * BigInt(num)) / BigInt(den),
+    sqrt(n){
+      if (n < 2n) return n;
+      let x = n;
+      let y = (x + 1n) / 2n;
+      while (y < x){ x = y; y = (x + n / x) / 2n; }
+      return x;
+    },
+    format(b, decimals = 0){
+      const int = b / BIG_ONE;
+      if (int < 1000000n){
+        const n = Number(b) / 1000;
+        return (decimals ? n : Math.floor(n)).toLocaleString(undefined, { maximumFractionDigits: decimals });
+      }
+      const digits = int.toString();
+      const exp = digits.length - 1;
+      if (big.notation === "scientific") return `${digits[0]}.${digits.slice(1, 3)}e${exp}`;
+      const group = Math.floor(exp / 3);
+      const lead = digits.length - group * 3;
+      return `${digits.slice(0, lead)}.${digits.slice(lead, lead + 2)}${suffix(group)}`;
+    }
+  };
+
+  // K, M, B ... Dc, then aa, ab ... zz, aaa ...
+  function suffix(group){
+    if (group < SUFFIXES.length) return SUFFIXES[group];
+    let i = group - SUFFIXES.length + 26;
+    let out = "";
+    while (i >= 0){
+      out = String.fromCharCode(97 + (i % 26)) + out;
+      i = Math.floor(i / 26) - 1;
+    }
+    return out;
+  }
+
+  return { clamp, createRng, hashSeed, big, BIG_ONE };
+});
@@ -0,0 +1,125 @@
+/* Pixel Arcade - MEMORY MATRIX rounds
+   - Sequence growth, playback timing and answer checking, driven by
+     advance(dt) and press(pad); app.js owns the pads, sound and bests
+     (window.PixelSim.memory in the page)
+*/
+
+(function (root, factory){
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./core.js"));
+  else (root.PixelSim = root.PixelSim || {}).memory = factory(root.PixelSim.core);
+})(typeof self !== "undefined" ? self : this, function (core){
+  "use strict";
+
+  const { clamp } = core;
+
+  const LIVES = 3;             // mistakes allowed outside strict mode
+  const LEAD = 0.8;            // seconds before a playback starts
+  const SLOWEST = 0.65;        // seconds a pad stays lit at the start
+  const FASTEST = 0.25;
+  const SPEEDUP = 0.035;       // seconds off per step of sequence length
+  const GAP = 0.5;             // dark time between flashes, as a share of the lit time
+
+  // Seconds each pad stays lit when playing back a sequence of `length`.
+  const flashTime = (length, assist = 1) => clamp(SLOWEST - (length - 1) * SPEEDUP, FASTEST, SLOWEST) / assist;
+
+  // One run. The returned object is the live state with:
+  //   start()       -> events for the first playback
+  //   advance(dt)   -> events as time passes
+  //   press(pad)    -> events; ignored while the sequence plays
+  // Events: { type: "show" } a playback begins; { type: "flash", pad } and
+  // { type: "dark", pad } light a pad and put it out; { type: "input" } the
+  // player's turn; { type: "good", pad }; { type: "round", length } the whole
+  // sequence was repeated; { type: "wrong", pad, expected }; { type: "end" }.
+  function createRound({ pads = 4, strict = false, rng = Math.random, assist = 1 } = {}){
+    const r = {
+      pads,
+      strict,
+      assist,
+      phase: "idle",           // "show" | "input" | "over"
+      sequence: [],
+      score: 0,                // longest sequence repeated
+      lives: strict ? 1 : LIVES,
+      at: 0,                   // next pad to play back or to press
+      lit: -1,                 // pad lit during playback, -1 none
+      timer: 0,                // seconds to the next playback change
+      on: 0,                   // lit seconds for this playback
+      start,
+      advance,
+      press
+    };
+
+    function grow(){
+      r.sequence.push(Math.floor(rng() * pads));
+    }
+
+    function show(out){
+      r.phase = "show";
+      r.at = 0;
+      r.lit = -1;
+      r.on = flashTime(r.sequence.length, r.assist);
+      r.timer = LEAD / r.assist;
+      out.push({ type: "show" });
+    }
+
+    function start(){
+      const out = [];
+      r.sequence = [];
+      grow();
+      show(out);
+      return out;
+    }
+
+    function advance(dt){
+      const out = [];
+      if (r.phase !== "show") return out;
+      r.timer -= dt;
+      while (r.phase === "show" && r.timer <= 0){
+        if (r.lit >= 0){
+          out.push({ type: "dark", pad: r.lit });
+          r.lit = -1;
+          r.at++;
+          r.timer += r.on * GAP;
+          if (r.at >= r.sequence.length){
+            r.phase = "input";
+            r.at = 0;
+            out.push({ type: "input" });
+          }
+        } else {
+          r.lit = r.sequence[r.at];
+          out.push({ type: "flash", pad: r.lit });
+          r.timer += r.on;
+        }
+      }
+      return out;
+    }
+
+    function press(pad){
+      const out = [];
+      if (r.phase !== "input") return out;
+
+      const expected = r.sequence[r.at];
+      if (pad !== expected){
+        out.push({ type: "wrong", pad, expected });
+        if (--r.lives <= 0){
+          r.phase = "over";
+          out.push({ type: "end" });
+        } else {
+          show(out);             // same sequence again
+        }
+        return out;
+      }
+
+      out.push({ type: "good", pad });
+      if (++r.at < r.sequence.length) return out;
+      r.score = r.sequence.length;
+      out.push({ type: "round", length: r.score });
+      grow();
+      show(out);
+      return out;
+    }
+
+    return r;
+  }
+
+  return { LIVES, LEAD, SLOWEST, FASTEST, GAP, flashTime, createRound };
+});
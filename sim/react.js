@@ -0,0 +1,197 @@
+/* Pixel Arcade - GLITCH REACT rounds
+   - Target picking, timing windows and hit judging for every mode, driven by
+     advance(dt) and press(pad); app.js owns the pads, sound and stats
+     (window.PixelSim.react in the page)
+*/
+
+(function (root, factory){
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./core.js"));
+  else (root.PixelSim = root.PixelSim || {}).react = factory(root.PixelSim.core);
+})(typeof self !== "undefined" ? self : this, function (core){
+  "use strict";
+
+  const { clamp } = core;
+
+  const PADS = 4;
+  const MODES = ["classic", "rhythm", "chord", "decoy", "survival"];
+  const JUDGE = [[0.05, "Perfect!", 3], [0.10, "Great.", 2], [0.16, "Good.", 1]];  // [seconds off the beat, label, points]
+  const LATE = JUDGE[JUDGE.length - 1][0];
+  const CHORD_WINDOW = 0.15;           // seconds between the first and last pad of a chord
+  const CHORD_BONUS = 0.35;            // extra seconds to find a chord
+  const LIVES = 3;
+  const WINDOW = 1.55;                 // default seconds to answer the first target
+  const MIN_WINDOW = 0.55;
+  const SHRINK = 0.03;                 // seconds off the window per level
+
+  // Seconds to answer a target at `level` (streak, or score in survival).
+  const timeWindow = (level, { mode = "classic", base = WINDOW, assist = 1 } = {}) =>
+    (clamp(base - level * SHRINK, MIN_WINDOW, base) + (mode === "chord" ? CHORD_BONUS : 0)) / assist;
+
+  // Rhythm tempo: +6 bpm every 8 in a row, up to 180.
+  const bpm = (streak, assist = 1) => Math.round(Math.min(180, 90 + Math.floor(streak / 8) * 6) * assist);
+
+  // [window, label, points] for a press `off` seconds from the beat, or undefined.
+  const judgeBeat = (off) => JUDGE.find(([w]) => Math.abs(off) <= w);
+
+  // Pads to hit and the pad to leave alone (-1: none).
+  function pickTargets(rng, mode, streak){
+    const randomPad = () => Math.floor(rng() * PADS);
+    const targets = [randomPad()];
+    let decoy = -1;
+    if (mode === "chord"){
+      const size = streak >= 10 && rng() < 0.4 ? 3 : 2;
+      while (targets.length < size){
+        const p = randomPad();
+        if (!targets.includes(p)) targets.push(p);
+      }
+    }
+    if (mode === "decoy") decoy = (targets[0] + 1 + Math.floor(rng() * (PADS - 1))) % PADS;
+    return { targets, decoy };
+  }
+
+  // One run of a mode. The returned object is the live state with:
+  //   start()             -> events for the first target
+  //   advance(dt)         -> events as time passes
+  //   press(pad, late?)   -> events; `late` is time since the last advance
+  // Events: { type: "target" } a new target is up; { type: "beat" } rhythm
+  // click; { type: "press", pad, seconds } first pads of a chord; { type:
+  // "hit", pad, seconds, text, points }; { type: "miss", pad?, seconds?, text };
+  // { type: "end" }. `pad`/`seconds` are the pad that should have been hit and
+  // the reaction time (rhythm: how far off the beat), for the stats.
+  function createRound({ mode = "classic", rng = Math.random, base = WINDOW, assist = 1 } = {}){
+    const r = {
+      mode,
+      base,                    // timing window setting, may change mid-run
+      assist,
+      live: false,
+      tuned: false,            // a changed window was used
+      streak: 0,
+      score: 0,
+      lives: LIVES,
+      targets: [],
+      decoy: -1,
+      pressed: new Set(),      // chord pads already down
+      chordAt: -1,             // timer value of the first chord pad
+      timer: 0,
+      timeLeft: 0,
+      // rhythm: song clock in seconds and the beat the current target is due on
+      clock: 0,
+      due: 0,
+      ticked: false,
+      bpm: () => bpm(r.streak, r.assist),
+      start,
+      advance,
+      press
+    };
+
+    function newTarget(out){
+      ({ targets: r.targets, decoy: r.decoy } = pickTargets(rng, mode, r.streak));
+      r.pressed.clear();
+      r.chordAt = -1;
+      r.timer = 0;
+      if (r.base !== WINDOW) r.tuned = true;
+      r.timeLeft = timeWindow(mode === "survival" ? r.score : r.streak, { mode, base: r.base, assist: r.assist });
+      out.push({ type: "target" });
+    }
+
+    // Rhythm targets land on a grid: the next one is due one beat after this one.
+    function nextBeat(out){
+      r.targets = [Math.floor(rng() * PADS)];
+      r.due += 60 / r.bpm();
+      r.ticked = false;
+      out.push({ type: "target" });
+    }
+
+    function succeed(out, pad, seconds, text, points = 1){
+      r.streak++;
+      r.score += points;
+      out.push({ type: "hit", pad, seconds, text, points });
+      if (mode === "rhythm") nextBeat(out);
+      else newTarget(out);
+    }
+
+    function miss(out, pad, seconds, text){
+      out.push({ type: "miss", pad, seconds, text });
+      if (mode === "survival" && --r.lives > 0){
+        r.streak = 0;
+        newTarget(out);
+        return;
+      }
+      r.live = false;
+      out.push({ type: "end" });
+    }
+
+    function start(){
+      const out = [];
+      r.live = true;
+      if (mode === "rhythm"){
+        r.due = 60 / r.bpm();  // one beat of lead-in before the first cue is due
+        nextBeat(out);
+      } else {
+        newTarget(out);
+      }
+      return out;
+    }
+
+    function advance(dt){
+      const out = [];
+      if (!r.live) return out;
+
+      if (mode === "rhythm"){
+        r.clock += dt;
+        if (!r.ticked && r.clock >= r.due){
+          r.ticked = true;
+          out.push({ type: "beat" });
+        }
+        if (r.clock > r.due + LATE) miss(out, r.targets[0], LATE, "Too late.");
+        return out;
+      }
+
+      r.timer += dt;
+      if (r.chordAt >= 0 && r.timer - r.chordAt > CHORD_WINDOW / r.assist){
+        miss(out, undefined, undefined, "Not together.");
+      } else if (r.timer >= r.timeLeft){
+        miss(out, r.targets.find(p => !r.pressed.has(p)) ?? r.targets[0], r.timeLeft, "Too slow.");
+      }
+      return out;
+    }
+
+    function press(i, late = 0){
+      const out = [];
+      if (!r.live) return out;
+
+      if (mode === "rhythm"){
+        const off = r.clock + late - r.due;
+        const judge = judgeBeat(off);
+        if (!r.targets.includes(i)) miss(out, r.targets[0], Math.abs(off), "Miss.");
+        else if (!judge) miss(out, r.targets[0], Math.abs(off), off < 0 ? "Too early." : "Too late.");
+        else succeed(out, r.targets[0], Math.abs(off), judge[1], judge[2]);
+        return out;
+      }
+
+      const reaction = r.timer + late;
+      if (i === r.decoy || !r.targets.includes(i)){
+        miss(out, r.targets.find(p => !r.pressed.has(p)) ?? r.targets[0], reaction, i === r.decoy ? "Decoy!" : "Miss.");
+        return out;
+      }
+      if (mode === "chord"){
+        if (r.pressed.has(i)) return out;
+        if (!r.pressed.size) r.chordAt = r.timer;
+        r.pressed.add(i);
+        if (r.pressed.size < r.targets.length){
+          out.push({ type: "press", pad: i, seconds: reaction });
+          return out;
+        }
+      }
+      succeed(out, i, reaction, "Perfect.");
+      return out;
+    }
+
+    return r;
+  }
+
+  return {
+    PADS, MODES, JUDGE, LATE, CHORD_WINDOW, LIVES, WINDOW, MIN_WINDOW,
+    timeWindow, bpm, judgeBeat, pickTargets, createRound
+  };
+});
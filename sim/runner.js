@@ -0,0 +1,293 @@
+/* Pixel Arcade - BYTE RUNNER simulation
+   - One run as plain state plus step()/move(); app.js draws it and handles
+     input, sound and saves (window.PixelSim.runner in the page)
+   - Fixed timestep: same seed + same moves on the same ticks -> same run
+*/
+
+(function (root, factory){
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./core.js"));
+  else (root.PixelSim = root.PixelSim || {}).runner = factory(root.PixelSim.core);
+})(typeof self !== "undefined" ? self : this, function (core){
+  "use strict";
+
+  const { clamp, createRng } = core;
+
+  const W = 360;               // internal resolution for crisp pixel look
+  const H = 480;
+  const LANES = 3;
+  const laneX = (i) => (W * (0.2 + i * 0.3)); // positions 20%, 50%, 80%
+  const STEP = 1 / 60;
+
+  // player box
+  const PLAYER_Y = H - 70;
+  const PLAYER_SIZE = 28;
+
+  // near-miss: an obstacle reaches the player's row in the lane they just left
+  const NEAR_MISS_TICKS = 20;
+
+  // Spawn director: authored patterns, one string per row (the first row
+  // arrives first) and one char per lane:
+  //   #  block            < >  block that shifts one lane left / right
+  //   =  gate wall        _    gate gap, looks closed until the gate is close
+  //   o  data orb         S T M  shield / slow-motion / score magnet
+  //   .  empty
+  // `from` is the distance a pattern unlocks at. Every pattern is mirrored too.
+  const ROW_GAP = 120;       // px between rows of one pattern
+  const SHIFT_Y = H * 0.30;  // moving blocks start shifting here
+  const REVEAL_Y = H * 0.50; // gate gaps open here
+  const POWERUP_CHANCE = 0.14;
+  const ORB_SCORE = 25;
+  const SLOW_SCALE = 0.5;
+  const MAGNET_PULL = 28;      // px an orb falls while the magnet draws it one lane over
+  const HAZARD_CHARS = "#<>=";
+  const AUTHORED = [
+    { from: 0,    rows: ["#.."] },
+    { from: 0,    rows: [".#."] },
+    { from: 0,    rows: ["o#o"] },
+    { from: 600,  rows: ["#..", "..#"] },
+    { from: 1000, rows: ["#.#", ".o."] },
+    { from: 1500, rows: ["##.", ".oo"] },
+    { from: 2000, rows: ["#..", ".#.", "..#"] },
+    { from: 2500, rows: [">..", "..#"] },
+    { from: 2500, rows: [".<.", "#.o"] },
+    { from: 3000, rows: ["=_="] },
+    { from: 3500, rows: ["_==", "o.."] },
+    { from: 4500, rows: ["##.", "#.#", ".##"] },
+    { from: 5000, rows: [".>.", "=_=", "o.."] },
+    { from: 6000, rows: ["#.#", "=_=", "#.."] }
+  ];
+  const PATTERNS = AUTHORED.filter(p => reachable(p.rows)).map(p => ({ ...p, mirrored: p.rows.map(mirrorRow) }));
+
+  // half-width of each entity type for collisions and drawing
+  const HALF_W = { block: 18, mover: 18, gate: 24, orb: 6, shield: 10, slow: 10, magnet: 10 };
+
+  const isHazard = (o) => o.type === "block" || o.type === "mover" || (o.type === "gate" && !o.open);
+
+  // Lanes a row blocks at some point: a shifting block covers both lanes.
+  function blockedLanes(row){
+    const out = new Set();
+    for (let lane = 0; lane < LANES; lane++){
+      const ch = row[lane];
+      if (!HAZARD_CHARS.includes(ch)) continue;
+      out.add(lane);
+      if (ch === "<") out.add(lane - 1);
+      if (ch === ">") out.add(lane + 1);
+    }
+    return out;
+  }
+
+  // A pattern is fair when some lane is free on every row and the player
+  // needs at most one lane change between rows. Shifting blocks must stay
+  // on the road.
+  function reachable(rows){
+    let open = null;
+    for (const row of rows){
+      if (row.length !== LANES) return false;
+      const blocked = blockedLanes(row);
+      if ([...blocked].some(l => l < 0 || l >= LANES)) return false;
+      const free = [];
+      for (let lane = 0; lane < LANES; lane++){
+        if (blocked.has(lane)) continue;
+        if (!open || open.some(l => Math.abs(l - lane) <= 1)) free.push(lane);
+      }
+      if (!free.length) return false;
+      open = free;
+    }
+    return true;
+  }
+
+  function mirrorRow(row){
+    return [...row].reverse().map(ch => ch === "<" ? ">" : ch === ">" ? "<" : ch).join("");
+  }
+
+  // Slow-motion and assist scale the world, not the clock.
+  const worldScale = (run) => (run.slowT > 0 ? SLOW_SCALE : 1) * run.assist;
+
+  function rectsOverlap(ax, ay, aw, ah, bx, by, bw, bh){
+    return ax < bx + bw && ax + aw > bx && ay < by + bh && ay + ah > by;
+  }
+
+  // One run. The returned object is the live state (read it to draw) with:
+  //   move(dir)  -> true when the lane changed
+  //   step()     -> events of one STEP: { type: "orb" | "power" | "shieldUsed" | "crash" | "nearMiss", kind? }
+  // `assist` below 1 slows the world (a11y game speed).
+  function createRun({ seed = 0, startSpeed = 110, speedGain = 10, assist = 1 } = {}){
+    const rng = createRng(seed);
+    const run = {
+      seed,
+      tick: 0,
+      alive: true,
+      lane: 1,
+      speed: startSpeed,       // pixels/sec
+      speedGain,               // pixels/sec added every second
+      assist,
+      score: 0,
+      distance: 0,
+      obstacles: [],           // {type, lane, y, h, ...}; lane is fractional for moving blocks
+      spawnTimer: 0,
+      spawnEvery: 0.85,        // seconds, decreases gradually
+      shield: false,
+      slowT: 0,                // seconds left
+      magnetT: 0,
+      dodgeFrom: -1,
+      dodgeTick: -Infinity,
+      move,
+      step
+    };
+    let events = [];
+
+    function move(dir){
+      if (!run.alive) return false;
+      const next = clamp(run.lane + dir, 0, LANES - 1);
+      if (next === run.lane) return false;
+      run.dodgeFrom = run.lane;
+      run.dodgeTick = run.tick;
+      run.lane = next;
+      return true;
+    }
+
+    // Spawns one pattern above the screen and returns its row count.
+    function spawnPattern(){
+      const pool = PATTERNS.filter(p => run.distance >= p.from);
+      const pat = pool[Math.floor(rng() * pool.length)];
+      let rows = rng() < 0.5 ? pat.rows : pat.mirrored;
+      if (run.distance > 800 && rng() < POWERUP_CHANCE) rows = withPowerup(rows);
+
+      rows.forEach((row, r) => {
+        const y = -40 - r * ROW_GAP;
+        for (let lane = 0; lane < LANES; lane++) spawnCell(row[lane], lane, y);
+      });
+      return rows.length;
+    }
+
+    // Drops a random power-up into a free lane of the last row.
+    function withPowerup(rows){
+      const last = rows[rows.length - 1];
+      const free = [...last].map((ch, i) => (ch === "." || ch === "o" ? i : -1)).filter(i => i >= 0 && !blockedLanes(last).has(i));
+      if (!free.length) return rows;
+      const lane = free[Math.floor(rng() * free.length)];
+      const kind = "STM"[Math.floor(rng() * 3)];
+      return [...rows.slice(0, -1), last.slice(0, lane) + kind + last.slice(lane + 1)];
+    }
+
+    function spawnCell(ch, lane, y){
+      const add = (o) => run.obstacles.push(o);
+      switch (ch){
+        case "#": {
+          const h = 18 + Math.floor(rng() * 18);
+          add({ type: "block", lane, y: y - h, h });
+          break;
+        }
+        case "<": case ">": {
+          const dir = ch === "<" ? -1 : 1;
+          add({ type: "mover", lane, to: lane + dir, dir, y: y - 24, h: 24 });
+          break;
+        }
+        case "=": case "_":
+          add({ type: "gate", lane, open: ch === "_", shown: false, y: y - 14, h: 14 });
+          break;
+        case "o":
+          add({ type: "orb", lane, y: y - 10, h: 10 });
+          break;
+        case "S": case "T": case "M":
+          add({ type: { S: "shield", T: "slow", M: "magnet" }[ch], lane, y: y - 20, h: 20 });
+          break;
+      }
+    }
+
+    function collect(o){
+      switch (o.type){
+        case "orb": run.score += ORB_SCORE; events.push({ type: "orb" }); return;
+        case "shield": run.shield = true; break;
+        case "slow": run.slowT = 4; break;
+        case "magnet": run.magnetT = 6; break;
+      }
+      events.push({ type: "power", kind: o.type });
+    }
+
+    function update(dt){
+      const ws = worldScale(run);
+      run.slowT = Math.max(0, run.slowT - dt);
+      run.magnetT = Math.max(0, run.magnetT - dt);
+
+      // ramp difficulty
+      run.distance += run.speed * dt * ws;
+      run.speed += run.speedGain * dt;
+      run.spawnEvery = clamp(0.85 - (run.distance / 80000), 0.35, 0.85);
+
+      // scoring: smooth and satisfying
+      run.score += (12 + run.speed * 0.05) * dt;
+
+      // spawn: the next pattern waits until the last row of this one is in
+      run.spawnTimer += dt * ws;
+      if (run.spawnTimer >= run.spawnEvery){
+        const rows = spawnPattern();
+        run.spawnTimer = -((rows - 1) * ROW_GAP) / run.speed;
+      }
+
+      // move obstacles
+      const shift = run.speed * dt * ws;
+      for (const o of run.obstacles){
+        o.y += shift;
+        if (o.type === "mover" && o.y + o.h >= SHIFT_Y){
+          const rate = 3 * dt * ws;
+          o.lane += clamp(o.to - o.lane, -rate, rate);
+        }
+        if (o.type === "gate" && o.y + o.h >= REVEAL_Y) o.shown = true;
+        if (o.type === "orb" && run.magnetT > 0 && o.y > 0){
+          const rate = shift / MAGNET_PULL;
+          o.lane += clamp(run.lane - o.lane, -rate, rate);
+        }
+      }
+
+      // cull
+      run.obstacles = run.obstacles.filter(o => o.y < H + 60);
+
+      // collision
+      const px = laneX(run.lane) - PLAYER_SIZE / 2;
+
+      for (const o of run.obstacles){
+        if (!o.reached && isHazard(o) && o.y + o.h >= PLAYER_Y){
+          o.reached = true;
+          if (Math.round(o.lane) === run.dodgeFrom && o.lane !== run.lane && run.tick - run.dodgeTick <= NEAR_MISS_TICKS){
+            events.push({ type: "nearMiss" });
+          }
+        }
+      }
+
+      for (const o of run.obstacles){
+        if (o.type === "gate" && o.open) continue;
+        const hw = HALF_W[o.type];
+        if (!rectsOverlap(px, PLAYER_Y, PLAYER_SIZE, PLAYER_SIZE, laneX(o.lane) - hw, o.y, hw * 2, o.h)) continue;
+        if (!isHazard(o)){
+          o.dead = true;
+          collect(o);
+        } else if (run.shield){
+          o.dead = true;
+          run.shield = false;
+          events.push({ type: "shieldUsed" });
+        } else {
+          run.alive = false;
+          events.push({ type: "crash" });
+          break;
+        }
+      }
+      run.obstacles = run.obstacles.filter(o => !o.dead);
+    }
+
+    function step(){
+      events = [];
+      if (!run.alive) return events;
+      update(STEP);
+      run.tick++;
+      return events;
+    }
+
+    return run;
+  }
+
+  return {
+    W, H, LANES, STEP, PLAYER_Y, PLAYER_SIZE, ROW_GAP, HALF_W, AUTHORED, PATTERNS,
+    laneX, isHazard, blockedLanes, reachable, mirrorRow, worldScale, createRun
+  };
+});
@@ -0,0 +1,183 @@
+/* Pixel Arcade - PIXEL SNAKE simulation
+   - One game on a grid as plain state plus turn()/advance(); app.js draws it
+     and handles input, sound and saves (window.PixelSim.snake in the page)
+   - Moves happen on a grid clock: same seed + same turns on the same moves
+     -> same game
+*/
+
+(function (root, factory){
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./core.js"));
+  else (root.PixelSim = root.PixelSim || {}).snake = factory(root.PixelSim.core);
+})(typeof self !== "undefined" ? self : this, function (core){
+  "use strict";
+
+  const { clamp } = core;
+
+  const COLS = 20;
+  const ROWS = 20;
+  const START_LENGTH = 3;
+  const MIN_LENGTH = 3;
+
+  // "wrap": leaving one edge enters the opposite one; "walled": edges crash
+  const ARENAS = ["wrap", "walled"];
+
+  // moves per second for speed levels 1..5; points are multiplied by the level
+  const LEVELS = [5, 7, 9, 12, 15];
+
+  const DIRS = {
+    up:    { x: 0, y: -1 },
+    down:  { x: 0, y: 1 },
+    left:  { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+  };
+  const OPPOSITE = { up: "down", down: "up", left: "right", right: "left" };
+  const QUEUE = 2;             // turns buffered ahead of the grid clock
+
+  // Food on the board. "bit" is always there; eating one may bring out one
+  // bonus food for `ttl` moves. `grow` changes the length (negative trims the
+  // tail), `speed` scales the move rate for `seconds`.
+  const FOODS = {
+    bit:   { points: 10, grow: 1 },
+    byte:  { points: 30, grow: 3, ttl: 50 },
+    trim:  { points: 15, grow: -2, ttl: 50 },
+    turbo: { points: 20, grow: 1, ttl: 50, speed: 1.5, seconds: 5 },
+    chill: { points: 5, grow: 0, ttl: 50, speed: 0.6, seconds: 5 }
+  };
+  const BONUS = ["byte", "trim", "turbo", "chill"];
+  const BONUS_CHANCE = 0.3;
+
+  const wrapIndex = (v, n) => ((v % n) + n) % n;
+
+  // One game. The returned object is the live state with:
+  //   turn(dir)     -> true when the turn was queued ("up", "down", "left", "right")
+  //   advance(dt)   -> events as time passes
+  // Events: { type: "eat", kind, points }; { type: "expire", kind } a bonus
+  // food ran out; { type: "crash", cause: "wall" | "self" }.
+  function createGame({ arena = "wrap", level = 3, rng = Math.random, assist = 1 } = {}){
+    const mid = Math.floor(ROWS / 2);
+    const g = {
+      arena: ARENAS.includes(arena) ? arena : "wrap",
+      level: clamp(Math.round(level), 1, LEVELS.length),
+      assist,
+      alive: true,
+      score: 0,
+      eaten: 0,
+      moves: 0,
+      snake: Array.from({ length: START_LENGTH }, (_, i) => ({ x: START_LENGTH - 1 - i + 2, y: mid })),  // head first
+      dir: "right",
+      queue: [],
+      grow: 0,                 // cells still to add at the tail
+      foods: [],               // { x, y, kind, ttl? }
+      effect: null,            // { kind, speed, t } while a speed food lasts
+      timer: 0,                // seconds since the last move
+      rate,
+      turn,
+      advance
+    };
+
+    // Moves per second right now.
+    function rate(){
+      return LEVELS[g.level - 1] * (g.effect ? g.effect.speed : 1) * g.assist;
+    }
+
+    function turn(dir){
+      if (!g.alive || !DIRS[dir]) return false;
+      const last = g.queue.length ? g.queue[g.queue.length - 1] : g.dir;
+      if (dir === last || dir === OPPOSITE[last] || g.queue.length >= QUEUE) return false;
+      g.queue.push(dir);
+      return true;
+    }
+
+    const occupied = (x, y) => g.snake.some(c => c.x === x && c.y === y) || g.foods.some(f => f.x === x && f.y === y);
+
+    // Drops food on a random free cell; false when the board is full.
+    function spawn(kind){
+      const free = [];
+      for (let y = 0; y < ROWS; y++){
+        for (let x = 0; x < COLS; x++) if (!occupied(x, y)) free.push({ x, y });
+      }
+      if (!free.length) return false;
+      const cell = free[Math.floor(rng() * free.length)];
+      g.foods.push({ ...cell, kind, ...(FOODS[kind].ttl ? { ttl: FOODS[kind].ttl } : {}) });
+      return true;
+    }
+
+    function eat(food, out){
+      const f = FOODS[food.kind];
+      const points = f.points * g.level;
+      g.foods.splice(g.foods.indexOf(food), 1);
+      g.score += points;
+      g.eaten++;
+      if (f.grow >= 0) g.grow += f.grow;
+      else {
+        const cut = Math.min(-f.grow, g.snake.length - MIN_LENGTH);
+        g.snake.length -= Math.max(0, cut);
+      }
+      if (f.speed) g.effect = { kind: food.kind, speed: f.speed, t: f.seconds };
+      out.push({ type: "eat", kind: food.kind, points });
+
+      if (food.kind === "bit"){
+        spawn("bit");
+        if (g.foods.length < 2 && rng() < BONUS_CHANCE) spawn(BONUS[Math.floor(rng() * BONUS.length)]);
+      }
+    }
+
+    function step(out){
+      if (g.queue.length) g.dir = g.queue.shift();
+      const d = DIRS[g.dir];
+      const head = g.snake[0];
+      let x = head.x + d.x;
+      let y = head.y + d.y;
+      if (x < 0 || y < 0 || x >= COLS || y >= ROWS){
+        if (g.arena === "walled") return crash(out, "wall");
+        x = wrapIndex(x, COLS);
+        y = wrapIndex(y, ROWS);
+      }
+
+      // the tail cell frees up this move unless the snake is growing
+      const body = g.grow > 0 ? g.snake : g.snake.slice(0, -1);
+      if (body.some(c => c.x === x && c.y === y)) return crash(out, "self");
+
+      g.snake.unshift({ x, y });
+      if (g.grow > 0) g.grow--;
+      else g.snake.pop();
+      g.moves++;
+
+      const food = g.foods.find(f => f.x === x && f.y === y);
+      if (food) eat(food, out);
+
+      for (const f of [...g.foods]){
+        if (f.ttl == null || f === food) continue;
+        if (--f.ttl <= 0){
+          g.foods.splice(g.foods.indexOf(f), 1);
+          out.push({ type: "expire", kind: f.kind });
+        }
+      }
+    }
+
+    function crash(out, cause){
+      g.alive = false;
+      out.push({ type: "crash", cause });
+    }
+
+    function advance(dt){
+      const out = [];
+      if (!g.alive) return out;
+      if (g.effect && (g.effect.t -= dt) <= 0) g.effect = null;
+      g.timer += dt;
+      while (g.alive && g.timer >= 1 / rate()){
+        g.timer -= 1 / rate();
+        step(out);
+      }
+      return out;
+    }
+
+    spawn("bit");
+    return g;
+  }
+
+  return {
+    COLS, ROWS, START_LENGTH, MIN_LENGTH, ARENAS, LEVELS, DIRS, FOODS, BONUS,
+    createGame
+  };
+});
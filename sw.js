@@ -0,0 +1,57 @@
+/* Pixel Arcade - service worker
+   - Precaches the whole app so it installs and plays offline
+   - Bump CACHE whenever a deployed file changes; the page then offers a reload
+*/
+
+const CACHE = "px-arcade-v28";
+
+const PRECACHE = [
+  "./",
+  "index.html",
+  "app.js",
+  "sim/core.js",
+  "sim/runner.js",
+  "sim/clicker.js",
+  "sim/react.js",
+  "sim/snake.js",
+  "sim/memory.js",
+  "styles.css",
+  "manifest.webmanifest",
+  "fonts/press-start-2p-latin-400-normal.woff2",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "icons/apple-touch-icon.png"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over once the player accepts the update.
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// Cache first; navigations fall back to the cached shell so deep links work offline.
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.match(req, { ignoreSearch: req.mode === "navigate" }).then(hit => {
+      if (hit) return hit;
+      return fetch(req).catch(() => {
+        if (req.mode === "navigate") return caches.match("index.html");
+        return Response.error();
+      });
+    })
+  );
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { boot } = require("./boot.js");
+
+const saveDoc = (data) => JSON.stringify({ v: 3, data });
+
+test("a v3 save with accessibility options loads intact", () => {
+  const a11y = { theme: "contrast", motion: "reduce", speed: 0.75 };
+  const { win, items } = boot({ px_save: saveDoc({ px_a11y: a11y, px_sound: false }) });
+  assert.equal(items.has("px_save_broken"), false);
+  assert.equal(win.PixelArcade.a11y.speed, 0.75);
+  assert.deepEqual({ ...win.PixelArcade.store.get("px_a11y") }, a11y);
+  assert.equal(win.PixelArcade.store.get("px_sound"), false);
+});
+
+test("an unknown speed falls back to full speed without losing the save", () => {
+  const { win, items } = boot({ px_save: saveDoc({ px_a11y: { speed: 0.1 }, px_sound: false }) });
+  assert.equal(items.has("px_save_broken"), false);
+  assert.equal(win.PixelArcade.a11y.speed, 1);
+  assert.equal(win.PixelArcade.store.get("px_sound"), false);
+});
+
+test("normal BYTE RUNNER runs stay random when a best run is saved", () => {
+  const best = { game: "runner", v: 3, seed: 12345, ticks: 600, score: 150, date: "2026-01-01T00:00:00.000Z", i: [40, -30] };
+  const { win, go } = boot({ px_save: saveDoc({ px_runner_replay: best }) });
+  const seeds = [];
+  const sim = win.PixelSim.runner;
+  const createRun = sim.createRun;
+  sim.createRun = (opts) => { seeds.push(opts.seed); return createRun(opts); };
+
+  go("#/runner");
+  go("#/");
+  go("#/runner");
+  assert.equal(seeds.length, 2);
+  assert.notEqual(seeds[0], seeds[1]);
+  assert.ok(!seeds.includes(best.seed));
+});
+
+test("a direct link opens a game registered after app.js", () => {
+  const mounted = [];
+  boot({}, {
+    hash: "#/mygame",
+    deferred: (win) => win.PixelArcade.registerGame({
+      id: "mygame",
+      title: "MY GAME",
+      mount: (host, opts) => mounted.push(opts),
+      unmount(){}
+    })
+  });
+  assert.equal(mounted.length, 1);
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+// Boots the whole page script in a node:vm sandbox with no real DOM: every
+// element, canvas and browser API the shell touches is a stand-in that
+// accepts any call. localStorage is a Map, so tests can seed a save and read
+// back what the app wrote. Not a test file itself (see *.test.js).
+
+const vm = require("node:vm");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const SCRIPTS = ["sim/core.js", "sim/runner.js", "sim/clicker.js", "sim/react.js", "sim/snake.js", "sim/memory.js", "app.js"];
+
+// Any property is another stand-in and any call returns one.
+function dummy(){
+  return new Proxy(function (){}, {
+    get: (t, k) => {
+      if (k === Symbol.toPrimitive) return () => "";
+      if (k === Symbol.iterator) return function* (){};
+      if (k === "then") return undefined;
+      return dummy();
+    },
+    set: () => true,
+    apply: () => dummy(),
+    construct: () => dummy()
+  });
+}
+
+function fakeStorage(items){
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => { items.set(k, String(v)); },
+    removeItem: (k) => { items.delete(k); },
+    key: (i) => [...items.keys()][i] ?? null,
+    get length(){ return items.size; }
+  };
+}
+
+// `storage` is { key: value } put in localStorage before the page loads,
+// `hash` the URL fragment it loads with, and `deferred(win)` runs after
+// app.js the way a <script defer> game does, before DOMContentLoaded.
+// Returns the sandbox window, the storage Map, and helpers to follow a hash
+// route and to fire window events.
+function boot(storage = {}, { hash = "", deferred = null } = {}){
+  const items = new Map(Object.entries(storage));
+  const listeners = {};
+  const docListeners = {};
+  const location = { hash, search: "", pathname: "/", href: `http://localhost/${hash}` };
+  const document = new Proxy(dummy(), {
+    get: (t, k) => k === "addEventListener"
+      ? (type, fn) => { (docListeners[type] ||= []).push(fn); }
+      : t[k]
+  });
+  const win = {
+    localStorage: fakeStorage(items),
+    document,
+    navigator: dummy(),
+    history: dummy(),
+    location,
+    addEventListener: (type, fn) => { (listeners[type] ||= []).push(fn); },
+    removeEventListener(){},
+    matchMedia: () => ({ matches: false, addEventListener(){} }),
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame(){},
+    setTimeout, clearTimeout,
+    setInterval: () => 0,
+    clearInterval(){},
+    performance, console, URL, URLSearchParams, btoa, atob,
+    Blob: function (){}
+  };
+  win.window = win;
+  win.self = win;
+
+  const ctx = vm.createContext(win);
+  for (const file of SCRIPTS) vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), ctx, { filename: file });
+  deferred?.(win);
+  (docListeners.DOMContentLoaded || []).forEach(fn => fn({ type: "DOMContentLoaded" }));
+
+  const fire = (type) => (listeners[type] || []).forEach(fn => fn({ type }));
+  const go = (hash) => { location.hash = hash; fire("hashchange"); };
+  return { win, items, fire, go };
+}
+
+module.exports = { boot };
@@ -0,0 +1,162 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { big, BIG_ONE, createRng } = require("../sim/core.js");
+const eco = require("../sim/clicker.js");
+
+// Fake clock (ms) and a Map standing in for localStorage, storing JSON like store.set.
+function fakeClock(t = 1_700_000_000_000){
+  return { now: () => t, advance: (s) => { t += s * 1000; } };
+}
+function fakeStorage(){
+  const map = new Map();
+  return {
+    get: (key, fallback) => (map.has(key) ? JSON.parse(map.get(key)) : fallback),
+    set: (key, value) => map.set(key, JSON.stringify(value))
+  };
+}
+
+const bits = (n) => big.whole(n);
+
+test("upgrade costs follow floor(base * mult^level) exactly", () => {
+  const st = eco.freshState(0);
+  for (const u of eco.UPGRADES){
+    let prev = 0n;
+    for (let lvl = 0; lvl < 200; lvl++){
+      st.upgrades[u.id] = lvl;
+      const cost = eco.upgradeCost(st, u.id);
+      assert.ok(cost > prev, `${u.id} ${lvl}`);
+      assert.equal(cost % BIG_ONE, 0n);
+      prev = cost;
+    }
+  }
+  st.upgrades.core = 0;
+  assert.equal(eco.upgradeCost(st, "core"), bits(25));
+  st.upgrades.core = 1;
+  assert.equal(eco.upgradeCost(st, "core"), bits(30));       // 25 * 1.22 = 30.5
+  st.upgrades.drip = 10;
+  assert.equal(eco.upgradeCost(st, "drip"), bits(708));      // 60 * 1.28^10 = 708.35...
+  st.upgrades.crit = 500;                                    // far past Number range
+  assert.ok(eco.upgradeCost(st, "crit") > 10n ** 60n);
+});
+
+test("buying spends bits and raises income", () => {
+  const st = eco.freshState(0);
+  assert.equal(eco.buyUpgrade(st, "core"), false);
+  eco.addBits(st, bits(100));
+  assert.equal(eco.buyUpgrade(st, "core"), true);
+  assert.equal(st.bits, bits(75));
+  assert.equal(st.bpc, bits(2));
+  assert.equal(eco.buyUpgrade(st, "drip"), true);
+  assert.equal(st.bps, bits(1));
+  assert.equal(st.total, bits(100));
+});
+
+test("clicks crit by chance and never below bits per click", () => {
+  const st = eco.freshState(0);
+  const rng = createRng(42);
+  let crits = 0;
+  for (let i = 0; i < 2000; i++){
+    const { gain, crit } = eco.clickGain(st, rng);
+    assert.equal(gain, crit ? bits(3) : bits(1));
+    if (crit) crits++;
+  }
+  assert.ok(crits > 100 && crits < 260, `crits ${crits}`);        // 8%
+  assert.deepEqual(eco.clickGain(st, () => 0.99), { gain: bits(1), crit: false });
+  st.upgrades.crit = 100;
+  assert.equal(eco.critChance(st), 0.40);
+  st.prestige.perks.critcap = 2;
+  assert.equal(eco.critChance(st), 0.50);
+  assert.equal(eco.clickGain(st, () => 0).gain, bits(7));         // crit multiplier caps at 3 + 4
+});
+
+test("passive ticks add a fifth of a second of income each", () => {
+  const st = eco.freshState(0);
+  st.bps = bits(10);
+  assert.equal(eco.passive(st, 1), bits(2));
+  assert.equal(eco.passive(st, 5), bits(10));
+  assert.equal(st.bits, bits(12));
+  st.prestige.perks.mult = 2;                                      // +50%
+  st.prestige.perks.auto = 1;                                      // + one click (1 bit) per second
+  assert.equal(eco.incomeRate(st), bits(16) + bits(1) / 2n);
+  st.bps = 1n;                                                     // thousandths survive
+  st.prestige.perks = { mult: 0, auto: 0, start: 0, critcap: 0 };
+  assert.equal(eco.passive(st, 5), 1n);
+});
+
+test("offline earnings use the fake clock and stop at the cap", () => {
+  const clock = fakeClock();
+  const st = eco.freshState(clock.now());
+  st.bps = bits(2);
+
+  clock.advance(eco.OFFLINE_MIN - 1);
+  assert.equal(eco.collectOffline(st, clock.now()), null);
+
+  clock.advance(91);
+  const short = eco.collectOffline(st, clock.now());
+  assert.equal(short.counted, 100);
+  assert.equal(short.gain, bits(200));
+
+  st.lastSeen = clock.now();
+  clock.advance(3 * 24 * 60 * 60);
+  const long = eco.collectOffline(st, clock.now());
+  assert.equal(long.away, 3 * 24 * 60 * 60);
+  assert.equal(long.counted, eco.OFFLINE_CAP);
+  assert.equal(long.gain, bits(2 * eco.OFFLINE_CAP));
+  assert.equal(st.bits, bits(200 + 2 * eco.OFFLINE_CAP));
+
+  const idle = eco.freshState(0);
+  assert.equal(eco.collectOffline(idle, 60 * 60 * 1000), null);   // nothing to earn
+});
+
+test("state survives a save round trip through storage", () => {
+  const clock = fakeClock();
+  const storage = fakeStorage();
+  const st = eco.freshState(clock.now());
+  eco.addBits(st, big.from("123456789012345678901234567890.125"));
+  eco.buyUpgrade(st, "drip");
+  st.prestige.cores = 7n;
+  st.prestige.lifetime = bits(1e6);
+  storage.set("px_clicker", eco.freeze(st));
+
+  const back = eco.thaw(storage.get("px_clicker"), clock.now());
+  assert.deepEqual(back, st);
+  assert.deepEqual(eco.thaw(storage.get("missing", null), clock.now()), eco.freshState(clock.now()));
+});
+
+test("reboot turns lifetime bits into cores and keeps perks", () => {
+  const clock = fakeClock();
+  const st = eco.freshState(clock.now());
+  assert.equal(eco.reboot(st), 0n);
+  assert.equal(st.prestige.reboots, 0);
+
+  eco.addBits(st, eco.nextCoreAt(st) * 9n - 1n);                // just short of 3 cores
+  assert.equal(eco.pendingCores(st), 2n);
+  eco.addBits(st, 1n);
+  assert.equal(eco.pendingCores(st), 3n);
+
+  assert.equal(eco.reboot(st), 3n);
+  assert.equal(st.prestige.cores, 3n);
+  assert.equal(st.prestige.earned, 3n);
+  assert.equal(st.bits, 0n);
+  assert.equal(st.total, 0n);
+  assert.equal(eco.pendingCores(st), 0n);
+  assert.equal(st.lastSeen, clock.now());
+
+  assert.equal(eco.buyPerk(st, "start"), true);                  // 1 core
+  assert.equal(eco.buyPerk(st, "auto"), true);                   // 2 cores
+  assert.equal(eco.buyPerk(st, "mult"), false);
+  eco.newRun(st);
+  assert.equal(st.bits, bits(1000));
+  assert.equal(eco.perkLevel(st, "auto"), 1);
+});
+
+test("perks stop at their max level", () => {
+  const st = eco.freshState(0);
+  st.prestige.cores = 10n ** 6n;
+  let bought = 0;
+  while (eco.buyPerk(st, "critcap")) bought++;
+  assert.equal(bought, eco.PERKS.find(p => p.id === "critcap").max);
+  assert.equal(eco.perkCost(st, "mult"), 1n);
+});
@@ -0,0 +1,115 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRng } = require("../sim/core.js");
+const memory = require("../sim/memory.js");
+
+const { LIVES, LEAD, SLOWEST, FASTEST, GAP, createRound } = memory;
+
+const types = (events) => events.map(e => e.type);
+
+// Plays the whole playback with a fake clock (60 frames a second) and returns the flashed pads.
+function watch(r){
+  const flashed = [];
+  for (let i = 0; i < 60 * 60 && r.phase === "show"; i++){
+    for (const e of r.advance(1 / 60)) if (e.type === "flash") flashed.push(e.pad);
+  }
+  return flashed;
+}
+
+test("playback speeds up with length down to a floor", () => {
+  assert.equal(memory.flashTime(1), SLOWEST);
+  assert.ok(memory.flashTime(5) < memory.flashTime(4));
+  assert.equal(memory.flashTime(100), FASTEST);
+  assert.equal(memory.flashTime(1, 0.5), SLOWEST * 2);
+});
+
+test("a playback flashes every pad of the sequence in order, then hands over", () => {
+  const r = createRound({ rng: createRng(1) });
+  assert.deepEqual(types(r.start()), ["show"]);
+  assert.equal(r.sequence.length, 1);
+  assert.deepEqual(r.press(r.sequence[0]), []);            // not yet: still playing
+
+  assert.deepEqual(r.advance(LEAD - 0.01), []);
+  assert.deepEqual(r.advance(0.02), [{ type: "flash", pad: r.sequence[0] }]);
+  assert.equal(r.lit, r.sequence[0]);
+  const rest = r.advance(SLOWEST + SLOWEST * GAP);
+  assert.deepEqual(types(rest), ["dark", "input"]);
+  assert.equal(r.phase, "input");
+});
+
+test("repeating the sequence grows it by one and plays it again", () => {
+  const r = createRound({ rng: createRng(2) });
+  r.start();
+  for (let length = 1; length <= 6; length++){
+    assert.deepEqual(watch(r), r.sequence);
+    const events = r.sequence.flatMap(p => r.press(p));
+    assert.deepEqual(types(events), [...Array(length).fill("good"), "round", "show"]);
+    assert.equal(r.score, length);
+    assert.equal(r.sequence.length, length + 1);
+  }
+});
+
+test("the sequence keeps its old pads as it grows", () => {
+  const r = createRound({ rng: createRng(3) });
+  r.start();
+  let before = [];
+  for (let i = 0; i < 10; i++){
+    watch(r);
+    assert.deepEqual(r.sequence.slice(0, before.length), before);
+    before = [...r.sequence];
+    r.sequence.forEach(p => r.press(p));
+  }
+});
+
+test("outside strict mode a mistake replays the same sequence until lives run out", () => {
+  const r = createRound({ rng: createRng(4) });
+  r.start();
+  watch(r);
+  const seq = [...r.sequence];
+  const wrong = (seq[0] + 1) % 4;
+  for (let life = LIVES; life > 1; life--){
+    assert.deepEqual(types(r.press(wrong)), ["wrong", "show"]);
+    assert.deepEqual(r.sequence, seq);
+    assert.deepEqual(watch(r), seq);
+  }
+  const last = r.press(wrong);
+  assert.deepEqual(last[0], { type: "wrong", pad: wrong, expected: seq[0] });
+  assert.equal(last[1].type, "end");
+  assert.equal(r.phase, "over");
+  assert.deepEqual(r.advance(1), []);
+});
+
+test("strict mode ends on the first mistake", () => {
+  const r = createRound({ strict: true, rng: createRng(5) });
+  r.start();
+  watch(r);
+  assert.deepEqual(types(r.press((r.sequence[0] + 1) % 4)), ["wrong", "end"]);
+  assert.equal(r.score, 0);
+});
+
+test("the expert grid uses all nine pads", () => {
+  const r = createRound({ pads: 9, rng: createRng(6) });
+  r.start();
+  for (let i = 0; i < 60; i++){
+    watch(r);
+    r.sequence.forEach(p => r.press(p));
+  }
+  assert.equal(new Set(r.sequence).size, 9);
+  assert.ok(r.sequence.every(p => p >= 0 && p < 9));
+});
+
+test("same seed, same sequence", () => {
+  const a = createRound({ rng: createRng(7) });
+  const b = createRound({ rng: createRng(7) });
+  a.start();
+  b.start();
+  for (let i = 0; i < 8; i++){
+    watch(a);
+    watch(b);
+    a.sequence.forEach(p => a.press(p));
+    b.sequence.forEach(p => b.press(p));
+  }
+  assert.deepEqual(a.sequence, b.sequence);
+});
@@ -0,0 +1,187 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRng } = require("../sim/core.js");
+const react = require("../sim/react.js");
+
+const { LATE, LIVES, WINDOW, MIN_WINDOW, CHORD_WINDOW, createRound } = react;
+
+const types = (events) => events.map(e => e.type);
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test("the timing window shrinks with level down to a floor", () => {
+  assert.ok(close(react.timeWindow(0), WINDOW));
+  assert.ok(close(react.timeWindow(10), WINDOW - 0.3));
+  assert.equal(react.timeWindow(1000), MIN_WINDOW);
+  assert.ok(close(react.timeWindow(1000, { mode: "chord" }), MIN_WINDOW + 0.35));
+  assert.equal(react.timeWindow(1000, { assist: 0.5 }), MIN_WINDOW * 2);
+  assert.equal(react.timeWindow(0, { base: 2.5 }), 2.5);
+  assert.equal(react.timeWindow(1000, { base: 1 }), MIN_WINDOW);
+  for (let level = 1; level < 100; level++) assert.ok(react.timeWindow(level) <= react.timeWindow(level - 1));
+});
+
+test("rhythm judging boundaries", () => {
+  assert.equal(react.judgeBeat(0)[1], "Perfect!");
+  assert.equal(react.judgeBeat(-0.05)[1], "Perfect!");
+  assert.equal(react.judgeBeat(0.07)[1], "Great.");
+  assert.equal(react.judgeBeat(-0.12)[1], "Good.");
+  assert.equal(react.judgeBeat(LATE)[2], 1);
+  assert.equal(react.judgeBeat(LATE + 0.001), undefined);
+  assert.equal(react.bpm(0), 90);
+  assert.equal(react.bpm(8), 96);
+  assert.equal(react.bpm(10000), 180);
+  assert.equal(react.bpm(0, 0.5), 45);
+});
+
+test("targets are distinct pads and the decoy is never one of them", () => {
+  const rng = createRng(99);
+  for (let i = 0; i < 2000; i++){
+    const chord = react.pickTargets(rng, "chord", i % 20);
+    assert.equal(new Set(chord.targets).size, chord.targets.length);
+    assert.ok(chord.targets.length === 2 || (i % 20 >= 10 && chord.targets.length === 3));
+    assert.equal(chord.decoy, -1);
+
+    const decoy = react.pickTargets(rng, "decoy", i);
+    assert.equal(decoy.targets.length, 1);
+    assert.notEqual(decoy.decoy, decoy.targets[0]);
+    assert.ok(decoy.decoy >= 0 && decoy.decoy < react.PADS);
+  }
+});
+
+test("same seed, same targets", () => {
+  const a = createRound({ mode: "decoy", rng: createRng(7) });
+  const b = createRound({ mode: "decoy", rng: createRng(7) });
+  a.start();
+  b.start();
+  for (let i = 0; i < 50; i++){
+    assert.deepEqual([a.targets, a.decoy], [b.targets, b.decoy]);
+    a.press(a.targets[0], 0.2);
+    b.press(b.targets[0], 0.2);
+  }
+  assert.equal(a.streak, 50);
+});
+
+test("classic: hits within the window, too slow after it", () => {
+  const r = createRound({ rng: createRng(1) });
+  assert.deepEqual(types(r.start()), ["target"]);
+  r.advance(0.3);
+  const hit = r.press(r.targets[0], 0.01);
+  assert.deepEqual(types(hit), ["hit", "target"]);
+  assert.ok(close(hit[0].seconds, 0.31));
+  assert.equal(r.timer, 0);
+  assert.equal(r.score, 1);
+
+  // fake clock: 20 frames a second until the window runs out
+  let events = [];
+  let t = 0;
+  while (!events.length){
+    events = r.advance(0.05);
+    t += 0.05;
+  }
+  assert.deepEqual(types(events), ["miss", "end"]);
+  assert.equal(events[0].text, "Too slow.");
+  assert.ok(t >= r.timeLeft && t - 0.05 < r.timeLeft);
+  assert.equal(r.live, false);
+  assert.deepEqual(r.advance(1), []);
+  assert.deepEqual(r.press(0), []);
+});
+
+test("a wrong pad ends the run and reports the pad that was due", () => {
+  const r = createRound({ rng: createRng(2) });
+  r.start();
+  const due = r.targets[0];
+  const events = r.press((due + 1) % 4);
+  assert.deepEqual(types(events), ["miss", "end"]);
+  assert.equal(events[0].pad, due);
+  assert.equal(events[0].text, "Miss.");
+});
+
+test("survival spends lives before ending", () => {
+  const r = createRound({ mode: "survival", rng: createRng(3) });
+  r.start();
+  r.press(r.targets[0]);
+  r.press(r.targets[0]);
+  for (let life = LIVES; life > 1; life--){
+    assert.deepEqual(types(r.press((r.targets[0] + 1) % 4)), ["miss", "target"]);
+    assert.equal(r.streak, 0);
+  }
+  assert.equal(r.score, 2);
+  assert.deepEqual(types(r.press((r.targets[0] + 1) % 4)), ["miss", "end"]);
+  assert.equal(r.lives, 0);
+});
+
+test("decoy: pressing it is a miss", () => {
+  const r = createRound({ mode: "decoy", rng: createRng(4) });
+  r.start();
+  const events = r.press(r.decoy);
+  assert.equal(events[0].text, "Decoy!");
+  assert.equal(r.live, false);
+});
+
+test("chord: all pads together, or not at all", () => {
+  const r = createRound({ mode: "chord", rng: createRng(5) });
+  r.start();
+  const [first, ...rest] = r.targets;
+  assert.deepEqual(types(r.press(first)), ["press"]);
+  assert.deepEqual(r.press(first), []);                // held pads do not count twice
+  let events = [];
+  for (const p of rest) events = r.press(p);
+  assert.deepEqual(types(events), ["hit", "target"]);
+  assert.equal(r.streak, 1);
+
+  r.press(r.targets[0]);
+  r.advance(CHORD_WINDOW / 2);
+  events = r.advance(CHORD_WINDOW);
+  assert.deepEqual(types(events), ["miss", "end"]);
+  assert.equal(events[0].text, "Not together.");
+  assert.equal(events[0].pad, undefined);
+});
+
+test("rhythm: beats land on a grid and presses are judged against them", () => {
+  const r = createRound({ mode: "rhythm", rng: createRng(6) });
+  r.start();
+  const beat = 60 / 90;
+  assert.ok(close(r.due, beat * 2));                  // one beat of lead-in
+
+  // fake clock: 60 frames a second
+  let clicks = 0;
+  while (r.clock < r.due - 1 / 60) clicks += types(r.advance(1 / 60)).filter(t => t === "beat").length;
+  assert.equal(clicks, 0);
+  const hit = r.press(r.targets[0], r.due - r.clock);
+  assert.equal(hit[0].text, "Perfect!");
+  assert.equal(hit[0].points, 3);
+  assert.ok(close(r.due, beat * 3));
+
+  r.advance(r.due - r.clock - 0.08);
+  const early = r.press(r.targets[0]);
+  assert.equal(early[0].type, "hit");
+  assert.equal(early[0].text, "Great.");
+  assert.equal(r.score, 5);
+
+  r.advance(r.due - r.clock);
+  assert.equal(r.ticked, true);
+  const events = r.advance(LATE + 0.01);
+  assert.deepEqual(types(events), ["miss", "end"]);
+  assert.equal(events[0].text, "Too late.");
+});
+
+test("rhythm: far too early is a miss", () => {
+  const r = createRound({ mode: "rhythm", rng: createRng(8) });
+  r.start();
+  const events = r.press(r.targets[0]);
+  assert.equal(events[0].text, "Too early.");
+});
+
+test("a changed window marks the round and can change mid-run", () => {
+  const plain = createRound({ rng: createRng(1) });
+  plain.start();
+  assert.equal(plain.tuned, false);
+
+  const r = createRound({ rng: createRng(1) });
+  r.start();
+  r.base = 2.5;
+  r.press(r.targets[0]);
+  assert.equal(r.tuned, true);
+  assert.ok(close(r.timeLeft, 2.5 - 0.03));
+});
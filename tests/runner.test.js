@@ -0,0 +1,151 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const runner = require("../sim/runner.js");
+
+const { LANES, PATTERNS, AUTHORED, STEP, PLAYER_Y, PLAYER_SIZE, createRun } = runner;
+
+// Dodging bot: leaves its lane when a hazard gets close, towards the lane
+// with the most room, one step at a time.
+function botMove(run){
+  const room = (lane) => {
+    let nearest = Infinity;
+    for (const o of run.obstacles){
+      if (!runner.isHazard(o) || o.y > PLAYER_Y + PLAYER_SIZE) continue;
+      const lanes = o.type === "mover" ? [Math.round(o.lane), o.to] : [Math.round(o.lane)];
+      if (lanes.includes(lane)) nearest = Math.min(nearest, PLAYER_Y - (o.y + o.h));
+    }
+    return nearest;
+  };
+  const rooms = Array.from({ length: LANES }, (_, lane) => room(lane));
+  if (rooms[run.lane] > 80) return;
+  const target = rooms.indexOf(Math.max(...rooms));
+  const dir = Math.sign(target - run.lane);
+  if (dir && rooms[run.lane + dir] > 0) run.move(dir);
+}
+
+function play(seed, ticks, bot = false){
+  const run = createRun({ seed });
+  const events = [];
+  for (let i = 0; i < ticks && run.alive; i++){
+    if (bot) botMove(run);
+    events.push(...run.step());
+  }
+  return { run, events };
+}
+
+test("every authored pattern is fair or filtered out", () => {
+  for (const p of PATTERNS){
+    assert.ok(runner.reachable(p.rows), p.rows.join("|"));
+    assert.ok(runner.reachable(p.mirrored), p.mirrored.join("|"));
+  }
+  assert.equal(PATTERNS.length, AUTHORED.filter(p => runner.reachable(p.rows)).length);
+});
+
+test("reachable rejects walls and impossible lane changes", () => {
+  assert.equal(runner.reachable(["###"]), false);
+  assert.equal(runner.reachable(["=#="]), false);
+  assert.equal(runner.reachable(["##.", ".##"]), false);   // lane 2 to lane 0 in one row
+  assert.equal(runner.reachable(["<.."]), false);          // shifts off the road
+  assert.equal(runner.reachable(["#.", "..."]), false);    // wrong width
+  assert.equal(runner.reachable(["#..", ".#."]), true);
+});
+
+test("mirrorRow flips lanes and shift direction", () => {
+  assert.equal(runner.mirrorRow(">.#"), "#.<");
+  assert.equal(runner.mirrorRow(".<o"), "o>.");
+  for (const p of AUTHORED) assert.deepEqual(p.rows.map(runner.mirrorRow).map(runner.mirrorRow), p.rows);
+});
+
+test("same seed and moves replay the same run", () => {
+  const a = play(1234, 3000, true);
+  const b = play(1234, 3000, true);
+  assert.equal(a.run.tick, b.run.tick);
+  assert.equal(a.run.score, b.run.score);
+  assert.equal(a.run.distance, b.run.distance);
+  assert.deepEqual(a.events, b.events);
+  assert.deepEqual(a.run.obstacles, b.run.obstacles);
+
+  const c = play(4321, 3000, true);
+  assert.notDeepEqual(c.run.obstacles, a.run.obstacles);
+});
+
+test("standing still ends in a crash", () => {
+  const { run, events } = play(7, 60 * 60);
+  assert.equal(run.alive, false);
+  assert.equal(events.at(-1).type, "crash");
+  assert.deepEqual(run.step(), []);
+  assert.equal(run.move(-1), false);
+});
+
+test("a dodging bot survives two minutes on many seeds", () => {
+  for (let seed = 1; seed <= 20; seed++){
+    const { run } = play(seed, 60 * 120, true);
+    assert.ok(run.alive, `seed ${seed} crashed at tick ${run.tick}`);
+    assert.ok(run.distance > 60000, `seed ${seed} only reached ${run.distance}`);
+  }
+});
+
+test("speed, spawn rate and score ramp with distance", () => {
+  const run = createRun({ seed: 3, startSpeed: 110, speedGain: 10 });
+  run.step();
+  assert.ok(Math.abs(run.speed - (110 + 10 * STEP)) < 1e-9);
+  const { run: later } = play(3, 60 * 30, true);
+  assert.ok(later.speed > run.speed);
+  assert.ok(later.spawnEvery < 0.85 && later.spawnEvery >= 0.35);
+  assert.ok(later.score > 0);
+});
+
+test("assist slows the world but not the clock", () => {
+  const full = createRun({ seed: 9 });
+  const slow = createRun({ seed: 9, assist: 0.5 });
+  for (let i = 0; i < 60; i++){ full.step(); slow.step(); }
+  assert.equal(full.tick, slow.tick);
+  assert.ok(Math.abs(slow.distance * 2 - full.distance) < 1e-6);
+});
+
+test("move clamps to the road and reports lane changes", () => {
+  const run = createRun({ seed: 1 });
+  assert.equal(run.move(-1), true);
+  assert.equal(run.lane, 0);
+  assert.equal(run.move(-1), false);
+  assert.equal(run.dodgeFrom, 1);
+  assert.equal(run.move(1), true);
+  assert.equal(run.move(1), true);
+  assert.equal(run.lane, LANES - 1);
+});
+
+test("shield absorbs one hit and pickups are collected", () => {
+  const run = createRun({ seed: 5 });
+  run.shield = true;
+  run.obstacles.push({ type: "block", lane: 1, y: PLAYER_Y - 5, h: 20 });
+  run.obstacles.push({ type: "orb", lane: 1, y: PLAYER_Y - 5, h: 10 });
+  const events = run.step().map(e => e.type);
+  assert.ok(events.includes("shieldUsed"));
+  assert.ok(events.includes("orb"));
+  assert.equal(run.shield, false);
+  assert.ok(run.alive);
+
+  run.obstacles.push({ type: "block", lane: 1, y: PLAYER_Y - 5, h: 20 });
+  assert.deepEqual(run.step().map(e => e.type), ["crash"]);
+  assert.equal(run.alive, false);
+});
+
+test("the magnet pulls orbs across the road even at top speed", () => {
+  const run = createRun({ seed: 6, startSpeed: 1200 });
+  run.move(1);
+  run.magnetT = 6;
+  run.obstacles.push({ type: "orb", lane: 0, y: 1, h: 10 });
+  const events = [];
+  for (let i = 0; i < 60 && run.alive; i++) events.push(...run.step().map(e => e.type));
+  assert.ok(events.includes("orb"));
+  assert.ok(run.alive);
+});
+
+test("open gates let the player through", () => {
+  const run = createRun({ seed: 5 });
+  run.obstacles.push({ type: "gate", lane: 1, open: true, shown: true, y: PLAYER_Y - 5, h: 14 });
+  run.step();
+  assert.ok(run.alive);
+});
@@ -0,0 +1,154 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRng } = require("../sim/core.js");
+const snake = require("../sim/snake.js");
+
+const { COLS, ROWS, START_LENGTH, LEVELS, FOODS, createGame } = snake;
+
+const types = (events) => events.map(e => e.type);
+
+// Exactly one move at the game's current rate.
+const move = (g) => g.advance(1 / g.rate());
+
+// Clears the board and puts one food right in front of the head.
+function feed(g, kind){
+  const d = snake.DIRS[g.queue[0] || g.dir];
+  const head = g.snake[0];
+  g.foods = [{ x: (head.x + d.x + COLS) % COLS, y: (head.y + d.y + ROWS) % ROWS, kind, ...(FOODS[kind].ttl ? { ttl: FOODS[kind].ttl } : {}) }];
+}
+
+test("a new game starts in the middle heading right with one bit out", () => {
+  const g = createGame({ rng: createRng(1) });
+  assert.equal(g.snake.length, START_LENGTH);
+  assert.equal(g.dir, "right");
+  assert.equal(g.foods.length, 1);
+  assert.equal(g.foods[0].kind, "bit");
+  assert.ok(!g.snake.some(c => c.x === g.foods[0].x && c.y === g.foods[0].y));
+});
+
+test("moves follow the speed level and the assist", () => {
+  const g = createGame({ level: 1, rng: createRng(2) });
+  g.foods = [];
+  assert.equal(g.rate(), LEVELS[0]);
+  g.advance(1);
+  assert.equal(g.moves, LEVELS[0]);
+  assert.equal(createGame({ level: 9 }).level, LEVELS.length);
+  assert.equal(createGame({ level: 2, assist: 0.5 }).rate(), LEVELS[1] / 2);
+});
+
+test("turns are buffered and never reverse into the body", () => {
+  const g = createGame({ rng: createRng(3) });
+  assert.equal(g.turn("left"), false);
+  assert.equal(g.turn("right"), false);
+  assert.equal(g.turn("up"), true);
+  assert.equal(g.turn("down"), false);
+  assert.equal(g.turn("left"), true);
+  assert.equal(g.turn("down"), false);           // the queue is full
+  const head = { ...g.snake[0] };
+  g.foods = [];
+  move(g);
+  move(g);
+  assert.deepEqual(g.snake[0], { x: head.x - 1, y: head.y - 1 });
+  assert.equal(g.dir, "left");
+});
+
+test("wrap arenas wrap, walled arenas crash", () => {
+  const wrap = createGame({ arena: "wrap", rng: createRng(4) });
+  wrap.foods = [];
+  for (let i = 0; i < COLS; i++) assert.deepEqual(move(wrap), []);
+  assert.equal(wrap.alive, true);
+  assert.equal(wrap.snake[0].x, START_LENGTH + 1);
+
+  const walled = createGame({ arena: "walled", rng: createRng(4) });
+  walled.foods = [];
+  let events = [];
+  while (!events.length) events = move(walled);
+  assert.deepEqual(events, [{ type: "crash", cause: "wall" }]);
+  assert.equal(walled.snake[0].x, COLS - 1);
+  assert.deepEqual(walled.advance(1), []);
+  assert.equal(walled.turn("up"), false);
+});
+
+test("running into the body ends the game, but the moving tail is free", () => {
+  const g = createGame({ rng: createRng(5) });
+  g.foods = [];
+  g.grow = 2;                                    // length 5: long enough to loop into itself
+  move(g); move(g);
+  g.turn("up"); move(g);
+  g.turn("left"); move(g);
+  g.turn("down");
+  assert.deepEqual(move(g), [{ type: "crash", cause: "self" }]);
+
+  const loop = createGame({ rng: createRng(5) });
+  loop.foods = [];
+  loop.snake = [{ x: 5, y: 5 }, { x: 5, y: 6 }, { x: 6, y: 6 }, { x: 6, y: 5 }];
+  loop.dir = "up";
+  loop.turn("right");                            // into the cell the tail leaves
+  assert.deepEqual(move(loop), []);
+  assert.equal(loop.alive, true);
+});
+
+test("bits grow the snake by one and are replaced", () => {
+  const g = createGame({ level: 2, rng: createRng(6) });
+  feed(g, "bit");
+  assert.deepEqual(move(g), [{ type: "eat", kind: "bit", points: 20 }]);
+  assert.equal(g.score, 20);
+  assert.ok(g.foods.some(f => f.kind === "bit"));
+  move(g);
+  assert.equal(g.snake.length, START_LENGTH + 1);
+});
+
+test("bytes grow by three and trims cut down to the minimum", () => {
+  const g = createGame({ rng: createRng(7) });
+  feed(g, "byte");
+  move(g); move(g); move(g); move(g);
+  assert.equal(g.snake.length, START_LENGTH + 3);
+
+  feed(g, "trim");
+  move(g);
+  assert.equal(g.snake.length, START_LENGTH + 1);
+  feed(g, "trim");
+  move(g);
+  assert.equal(g.snake.length, snake.MIN_LENGTH);
+});
+
+test("speed foods change the move rate for a while", () => {
+  const g = createGame({ level: 1, rng: createRng(8) });
+  feed(g, "turbo");
+  move(g);
+  assert.equal(g.rate(), LEVELS[0] * FOODS.turbo.speed);
+  g.foods = [];
+  g.advance(FOODS.turbo.seconds + 0.01);
+  assert.equal(g.effect, null);
+  assert.equal(g.rate(), LEVELS[0]);
+
+  feed(g, "chill");
+  move(g);
+  assert.equal(g.effect.kind, "chill");
+  assert.ok(g.rate() < LEVELS[0]);
+});
+
+test("bonus foods expire after their moves run out", () => {
+  const g = createGame({ arena: "wrap", rng: createRng(9) });
+  g.foods = [{ x: 0, y: 0, kind: "byte", ttl: 2 }];
+  assert.deepEqual(move(g), []);
+  assert.deepEqual(move(g), [{ type: "expire", kind: "byte" }]);
+  assert.equal(g.foods.length, 0);
+});
+
+test("same seed, same food", () => {
+  const play = (seed) => {
+    const g = createGame({ rng: createRng(seed) });
+    const spots = [];
+    for (let i = 0; i < 20; i++){
+      feed(g, "bit");
+      move(g);
+      spots.push(g.foods.map(f => [f.x, f.y, f.kind]));
+    }
+    return spots;
+  };
+  assert.deepEqual(play(10), play(10));
+  assert.notDeepEqual(play(10), play(11));
+});